@@ -0,0 +1,84 @@
+// auth.js — who may open a socket: API keys / signed tokens and allowed origins
+//
+// Checked once, at the WebSocket upgrade. Credentials come from "Authorization: Bearer
+// <key-or-token>" or ?access_token= (for clients that can't set headers).
+//   AUTH_KEYS=k1,k2       static keys
+//   AUTH_SECRET=...       HMAC secret for signed tokens: base64url({"sub","exp"}).base64url(sig)
+// Neither set → no auth. ALLOWED_ORIGINS=https://a.example,https://b.example limits browser
+// origins; requests without an Origin header (native game builds) pass unless
+// ALLOW_NO_ORIGIN=0.
+//
+// Mint a token: node auth.js sign <subject> [minutes]   (AUTH_SECRET from the env / .env)
+import crypto from "node:crypto";
+import { pathToFileURL } from "node:url";
+
+const list = (s) => String(s || "").split(",").map((x) => x.trim()).filter(Boolean);
+const b64 = (buf) => Buffer.from(buf).toString("base64url");
+const hmac = (secret, data) => crypto.createHmac("sha256", secret).update(data).digest();
+
+// Constant-time string compare (different lengths are simply unequal)
+const same = (a, b) => {
+  const x = Buffer.from(String(a)), y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+};
+
+export function signToken(secret, sub, ttlMin = 60) {
+  const payload = b64(JSON.stringify({ sub: String(sub), exp: Math.floor(Date.now() / 1000) + Math.round(ttlMin * 60) }));
+  return `${payload}.${b64(hmac(secret, payload))}`;
+}
+
+// { sub } or { error }
+function verifyToken(secret, token) {
+  const [payload, sig, extra] = String(token).split(".");
+  if (!payload || !sig || extra !== undefined) return { error: "malformed token" };
+  if (!same(sig, b64(hmac(secret, payload)))) return { error: "bad token signature" };
+  let claims;
+  try { claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8")); } catch { return { error: "malformed token" }; }
+  if (!Number.isFinite(claims?.exp) || claims.exp * 1000 < Date.now()) return { error: "token expired" };
+  return { sub: String(claims.sub || "") };
+}
+
+export function createAuth(env = process.env) {
+  const keys = list(env.AUTH_KEYS);
+  const secret = env.AUTH_SECRET || "";
+  const origins = list(env.ALLOWED_ORIGINS).filter((o) => o !== "*");
+  const allowNoOrigin = env.ALLOW_NO_ORIGIN !== "0";
+
+  return {
+    enabled: !!(keys.length || secret),
+    /**
+     * Check an upgrade request. Returns { ok: true, subject } or { ok: false, status, reason }.
+     * subject is the token's sub, "key:<n>" for a static key, or "" with auth off.
+     */
+    check(req) {
+      const origin = req.headers.origin;
+      if (origins.length && (origin ? !origins.includes(origin) : !allowNoOrigin)) {
+        return { ok: false, status: 403, reason: "Origin not allowed" };
+      }
+      if (!keys.length && !secret) return { ok: true, subject: "" };
+
+      const header = String(req.headers.authorization || "");
+      const query = new URL(req.url || "/", "http://localhost").searchParams;
+      const cred = header.startsWith("Bearer ") ? header.slice(7).trim() : query.get("access_token") || "";
+      if (!cred) return { ok: false, status: 401, reason: "Missing credentials" };
+      const k = keys.findIndex((key) => same(key, cred));
+      if (k >= 0) return { ok: true, subject: `key:${k + 1}` };
+      if (secret && cred.includes(".")) {
+        const t = verifyToken(secret, cred);
+        return t.error ? { ok: false, status: 401, reason: t.error } : { ok: true, subject: t.sub };
+      }
+      return { ok: false, status: 401, reason: "Invalid credentials" };
+    },
+  };
+}
+
+// CLI: node auth.js sign <subject> [minutes]
+if (import.meta.url === pathToFileURL(process.argv[1] || "").href) {
+  await import("dotenv/config");
+  const [cmd, sub, minutes] = process.argv.slice(2);
+  if (cmd !== "sign" || !sub || !process.env.AUTH_SECRET) {
+    console.error("usage: AUTH_SECRET=... node auth.js sign <subject> [minutes]");
+    process.exit(1);
+  }
+  console.log(signToken(process.env.AUTH_SECRET, sub, Number(minutes) || 60));
+}
@@ -0,0 +1,126 @@
+// cart.js — server-side cart and checkout state (prices in the catalog's base currency)
+//
+// The cart lives on the session. Items can only be edited while browsing; checkout walks
+//   browsing → checkout → confirmed → ordered
+// and "cancel" goes back to browsing from checkout/confirmed. Editing after an order
+// starts a fresh cart.
+import { formatMoney } from "./currency.js";
+
+const MAX_QTY = 99;
+
+// action → states it is allowed from, and the state it leads to
+const TRANSITIONS = {
+  checkout: { from: ["browsing"], to: "checkout" },
+  confirm:  { from: ["checkout"], to: "confirmed" },
+  cancel:   { from: ["checkout", "confirmed"], to: "browsing" },
+  order:    { from: ["confirmed"], to: "ordered" },
+};
+const EDITS = ["add", "remove", "set_qty", "clear"];
+export const CART_ACTIONS = [...EDITS, ...Object.keys(TRANSITIONS)];
+
+export const newCart = () => ({ state: "browsing", lines: [], order_id: "" });
+
+export const cartTotals = (cart) => ({
+  count: cart.lines.reduce((n, l) => n + l.qty, 0),
+  subtotal: cart.lines.reduce((t, l) => t + l.price * l.qty, 0),
+});
+
+const qtyOf = (v, dflt) => {
+  const q = v == null || v === "" ? dflt : Number(v);
+  return Number.isInteger(q) && q >= 0 && q <= MAX_QTY ? q : NaN;
+};
+
+// Catalog price/name win; name/price from the client only count when there is no catalog
+const lineFor = (a, catalog) => {
+  const id = String(a.item_id ?? "").trim();
+  if (!id) return { error: "item_id is required" };
+  if (catalog.length) {
+    const it = catalog.find((c) => c.id === id);
+    if (!it) return { error: `Unknown item "${id}"` };
+    return { line: { item_id: it.id, name: it.name, category: it.category, price: it.price } };
+  }
+  const price = Number(a.price);
+  if (!Number.isFinite(price) || price < 0) return { error: "price is required when no catalog is loaded" };
+  return { line: { item_id: id, name: String(a.name || id), category: String(a.category || "").toLowerCase(), price } };
+};
+
+/**
+ * Apply one action to the cart in place. Returns {} or { error, stateError } — stateError
+ * marks actions the current checkout state doesn't allow.
+ * a: { action, item_id, qty, name, price }
+ * placeOrder(cart) records the order and returns its id; it runs before the state
+ * changes, so a failed write leaves the cart confirmed.
+ */
+export function applyCartAction(cart, a, { catalog = [], placeOrder } = {}) {
+  const action = String(a.action || "").toLowerCase();
+
+  const step = TRANSITIONS[action];
+  if (step) {
+    if (!step.from.includes(cart.state)) return { error: `Cannot ${action} while the cart is ${cart.state}`, stateError: true };
+    if (action === "checkout" && !cart.lines.length) return { error: "The cart is empty" };
+    if (action === "order") cart.order_id = placeOrder(cart);
+    cart.state = step.to;
+    return {};
+  }
+  if (!EDITS.includes(action)) return { error: `Unknown cart action "${action}" (${CART_ACTIONS.join(", ")})` };
+
+  if (cart.state === "ordered") Object.assign(cart, newCart());
+  else if (cart.state !== "browsing") return { error: `The cart is locked during ${cart.state}; cancel it first`, stateError: true };
+
+  if (action === "clear") { cart.lines = []; return {}; }
+
+  const id = String(a.item_id ?? "").trim();
+  const at = cart.lines.findIndex((l) => l.item_id === id);
+  if (action === "remove") {
+    if (at < 0) return { error: `"${id}" is not in the cart` };
+    cart.lines.splice(at, 1);
+    return {};
+  }
+
+  const qty = qtyOf(a.qty, 1);
+  if (Number.isNaN(qty)) return { error: `qty must be a whole number from 0 to ${MAX_QTY}` };
+  if (action === "set_qty" && at < 0) return { error: `"${id}" is not in the cart` };
+  if (action === "set_qty") {
+    if (qty === 0) cart.lines.splice(at, 1);
+    else cart.lines[at].qty = qty;
+    return {};
+  }
+  // add: new line, or more of one already in the cart
+  if (at >= 0) { cart.lines[at].qty = Math.min(MAX_QTY, cart.lines[at].qty + qty); return {}; }
+  const { line, error } = lineFor(a, catalog);
+  if (error) return { error };
+  if (qty) cart.lines.push({ ...line, qty });
+  return {};
+}
+
+// Cart view for the client; budget (0 = unknown) comes from the session's SPEC prefs
+export const cartView = (cart, { budget = 0, currency } = {}) => {
+  const { count, subtotal } = cartTotals(cart);
+  return {
+    state: cart.state,
+    lines: cart.lines,
+    count,
+    subtotal,
+    currency,
+    budget,
+    remaining: budget ? budget - subtotal : 0,
+    over_budget: !!budget && subtotal > budget,
+    order_id: cart.order_id,
+  };
+};
+
+// One line of plain text for the chat context
+export function cartSummary(cart, opts) {
+  const v = cartView(cart, opts);
+  const money = (n) => formatMoney(n, v.currency);
+  if (!v.count && v.state === "browsing") return "empty";
+  const parts = [`${v.count} item${v.count === 1 ? "" : "s"}, subtotal ${money(v.subtotal)}`];
+  if (v.budget) {
+    parts.push(v.over_budget
+      ? `over the ${money(v.budget)} budget by ${money(-v.remaining)}`
+      : `${money(v.remaining)} left of the ${money(v.budget)} budget`);
+  }
+  parts.push(v.lines.map((l) => `${l.name} ×${l.qty} ${money(l.price * l.qty)}`).join(", "));
+  parts.push(v.state === "ordered" ? `order ${v.order_id} placed` : `checkout state: ${v.state}`);
+  return parts.filter(Boolean).join("; ");
+}
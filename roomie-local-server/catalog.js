@@ -0,0 +1,121 @@
+// catalog.js — in-game showroom catalog (JSON or CSV export) + SPEC matching
+import fs from "node:fs";
+import path from "node:path";
+import { log } from "./log.js";
+
+// Item shape after normalization:
+// { id, name, category, price, width_cm, depth_cm, height_cm, style_tags:[], material_slots:[] }
+
+const num = (v) => {
+  const f = parseFloat(String(v ?? "").replace(/,/g, ""));
+  return Number.isFinite(f) ? f : 0;
+};
+const list = (v) => {
+  if (Array.isArray(v)) return v.map((s) => String(s).trim().toLowerCase()).filter(Boolean);
+  return String(v ?? "").split(/[|;,]/).map((s) => s.trim().toLowerCase()).filter(Boolean);
+};
+
+const normalizeItem = (r) => ({
+  id: String(r.id ?? "").trim(),
+  name: String(r.name ?? "").trim(),
+  category: String(r.category ?? "").trim().toLowerCase(),
+  price: num(r.price),
+  width_cm: num(r.width_cm ?? r.width),
+  depth_cm: num(r.depth_cm ?? r.length_cm ?? r.depth),
+  height_cm: num(r.height_cm ?? r.height),
+  style_tags: list(r.style_tags ?? r.style),
+  material_slots: list(r.material_slots ?? r.slots),
+});
+
+// Minimal CSV: header row, comma separated, "double quoted" fields with "" escapes
+function parseCsv(text) {
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { row.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      if (row.some((f) => f.trim())) rows.push(row);
+      row = [];
+    } else field += c;
+  }
+  row.push(field);
+  if (row.some((f) => f.trim())) rows.push(row);
+
+  const [header = [], ...body] = rows;
+  const keys = header.map((h) => h.trim().toLowerCase());
+  return body.map((cols) => Object.fromEntries(keys.map((k, i) => [k, cols[i] ?? ""])));
+}
+
+export function loadCatalog(file) {
+  if (!file) return [];
+  try {
+    const text = fs.readFileSync(file, "utf8");
+    const rows = path.extname(file).toLowerCase() === ".csv"
+      ? parseCsv(text)
+      : (() => { const j = JSON.parse(text); return Array.isArray(j) ? j : (j.items || []); })();
+    const items = rows.map(normalizeItem).filter((it) => it.id && it.category);
+    log.info("catalog: loaded", { file, items: items.length });
+    return items;
+  } catch (err) {
+    log.error("catalog: could not load", { file, error: err?.message || String(err) });
+    return [];
+  }
+}
+
+// --- Matching ---
+// Footprint must fit the room in some orientation
+const fitsRoom = (it, q) => {
+  const [long, short] = [Math.max(q.room_w, q.room_len), Math.min(q.room_w, q.room_len)];
+  const [a, b] = [Math.max(it.width_cm, it.depth_cm), Math.min(it.width_cm, it.depth_cm)];
+  return a <= long && b <= short;
+};
+// Hard constraints (any failing one excludes the item); style only affects ranking.
+const CONSTRAINTS = [
+  ["budget_max", (it, q) => !q.budget_max || it.price <= q.budget_max],
+  ["budget_min", (it, q) => !q.budget_min || it.price >= q.budget_min],
+  ["max_w",      (it, q) => !q.max_w   || !it.width_cm  || it.width_cm  <= q.max_w],
+  ["max_len",    (it, q) => !q.max_len || !it.depth_cm  || it.depth_cm  <= q.max_len],
+  ["max_h",      (it, q) => !q.max_h   || !it.height_cm || it.height_cm <= q.max_h],
+  ["room",       (it, q) => !q.room_w  || !q.room_len  || fitsRoom(it, q)],
+];
+const failing = (it, q) => CONSTRAINTS.filter(([, ok]) => !ok(it, q)).map(([k]) => k);
+
+const score = (it, q) => {
+  let s = 0;
+  const styles = q.style || [];
+  if (styles.length) s += 10 * styles.filter((t) => it.style_tags.includes(t)).length;
+  // Prefer items that use the budget well: near the top of the range but not over it
+  if (q.budget_max && it.price) s += 5 * Math.min(1, it.price / q.budget_max);
+  // Prefer items that fill the available space rather than tiny ones
+  if (q.max_w && it.width_cm) s += 2 * Math.min(1, it.width_cm / q.max_w);
+  return s;
+};
+
+/**
+ * Rank catalog items against a parsed SPEC.
+ * query: { category, style:[], budget_min, budget_max, max_w, max_len, max_h, room_w, room_len, exclude:[ids] }
+ * Returns { choice, alternates:[], blocking } — blocking names the constraint that
+ * removed the most same-category items when nothing fits ("category" if none exist).
+ */
+export function searchCatalog(items, query, maxAlternates = 3) {
+  const exclude = query.exclude || [];
+  const inCat = items.filter((it) => it.category === query.category && !exclude.includes(it.id));
+  if (!inCat.length) return { choice: null, alternates: [], blocking: "category" };
+
+  const fits = inCat.filter((it) => failing(it, query).length === 0)
+    .sort((a, b) => score(b, query) - score(a, query));
+  if (fits.length) return { choice: fits[0], alternates: fits.slice(1, 1 + maxAlternates), blocking: "" };
+
+  const counts = {};
+  for (const it of inCat) for (const k of failing(it, query)) counts[k] = (counts[k] || 0) + 1;
+  const blocking = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || "";
+  return { choice: null, alternates: [], blocking };
+}
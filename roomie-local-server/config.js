@@ -0,0 +1,231 @@
+// config.js — persona, schema hints, model chains and vocabulary from a config directory
+//
+// CONFIG_DIR (default: the config/ directory next to this file, wherever the server starts):
+//   persona.md         system prompt
+//   spec-hint.txt      SPEC JSON hint; {{categories}} is filled from the lexicon
+//   matspec-hint.txt   MATSPEC JSON hint; {{parts}} is filled per request (focused item's slots)
+//   room-hint.txt      room screenshot read-out hint
+//   models.json        { chat, spec, vision: [...], maxRetries, baseDelayMs }; an empty chain
+//                      keeps CHAT_MODELS/SPEC_MODELS/VISION_MODELS or the provider's defaults
+//   lexicon.json       English vocabulary for the deterministic fallbacks (see the file)
+//   lexicon.<lang>.json  another language's terms (lexicon.ru.json, lexicon.ka.json): any of
+//                      lexicon.json's keys, merged in after it
+//   tenants/<name>/    one showroom's overrides: any of the files above. Text files and
+//                      models.json keys replace the base ones; lexicon entries are added
+//                      to the base vocabulary (new categories, synonyms, colors, ...).
+// Everything is validated on load. At startup errors are fatal; on a later change (files
+// are watched, or SIGHUP) a bad edit is logged and the last good config stays in use, so
+// open sockets and sessions are never dropped.
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { log } from "./log.js";
+
+export const DEFAULT_CONFIG_DIR = fileURLToPath(new URL("./config/", import.meta.url));
+
+const TEXT_FILES = { prompt: "persona.md", specHint: "spec-hint.txt", matspecHint: "matspec-hint.txt", roomHint: "room-hint.txt" };
+const WORD_LISTS = ["modelCategories", "intent", "material", "replaceStrong", "replaceSoft", "thisWords"];
+const CANON_TABLES = ["categories", "slots", "colors", "finishes", "parts"];
+const CHAINS = ["chat", "spec", "vision"];
+const TENANT_RE = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const LOCALE_LEXICON_RE = /^lexicon\.([a-z]{2})\.json$/;
+const RELOAD_DEBOUNCE_MS = 250;
+
+// ---- validation: each check pushes "file: path message" into errs ----
+// Words may keep deliberate spaces (" it " matches a whole word); they just can't be blank
+const isWords = (v) => Array.isArray(v) && v.every((w) => typeof w === "string" && w.trim());
+const isTable = (v) => v && typeof v === "object" && !Array.isArray(v) && Object.values(v).every(isWords);
+
+function checkLexicon(lex, file, errs, partial) {
+  if (!lex || typeof lex !== "object" || Array.isArray(lex)) return errs.push(`${file}: must be a JSON object`);
+  for (const key of Object.keys(lex)) {
+    if (!WORD_LISTS.includes(key) && !CANON_TABLES.includes(key)) errs.push(`${file}: unknown key "${key}"`);
+  }
+  for (const key of WORD_LISTS) {
+    if (lex[key] === undefined) { if (!partial) errs.push(`${file}: "${key}" is required`); continue; }
+    if (!isWords(lex[key])) errs.push(`${file}: "${key}" must be an array of non-empty strings`);
+  }
+  for (const key of CANON_TABLES) {
+    if (lex[key] === undefined) { if (!partial) errs.push(`${file}: "${key}" is required`); continue; }
+    if (!isTable(lex[key])) errs.push(`${file}: "${key}" must map names to arrays of non-empty strings`);
+  }
+  const bad = Object.keys(lex.categories || {}).filter((c) => !/^[a-z][a-z0-9-]*$/.test(c));
+  if (bad.length) errs.push(`${file}: category names are lowercase words with dashes (${bad.join(", ")})`);
+}
+
+function checkModels(m, file, errs) {
+  if (!m || typeof m !== "object" || Array.isArray(m)) return errs.push(`${file}: must be a JSON object`);
+  for (const key of Object.keys(m)) {
+    if (!CHAINS.includes(key) && key !== "maxRetries" && key !== "baseDelayMs") errs.push(`${file}: unknown key "${key}"`);
+  }
+  for (const key of CHAINS) {
+    if (m[key] !== undefined && !(Array.isArray(m[key]) && m[key].every((s) => typeof s === "string" && s.trim()))) {
+      errs.push(`${file}: "${key}" must be an array of model names`);
+    }
+  }
+  if (m.maxRetries !== undefined && !(Number.isInteger(m.maxRetries) && m.maxRetries >= 1 && m.maxRetries <= 10)) {
+    errs.push(`${file}: "maxRetries" must be an integer 1–10`);
+  }
+  if (m.baseDelayMs !== undefined && !(Number.isFinite(m.baseDelayMs) && m.baseDelayMs >= 0 && m.baseDelayMs <= 60_000)) {
+    errs.push(`${file}: "baseDelayMs" must be 0–60000`);
+  }
+}
+
+// Raw files of one directory: { prompt?, specHint?, ..., models?, lexicon?, locales: [[lang,
+// lexicon]] }; missing files stay undefined
+function readLayer(dir, label, errs) {
+  const layer = {};
+  const rel = (f) => path.join(label, f);
+  for (const [key, file] of Object.entries(TEXT_FILES)) {
+    const p = path.join(dir, file);
+    if (!fs.existsSync(p)) continue;
+    const text = fs.readFileSync(p, "utf8").trim();
+    if (!text) errs.push(`${rel(file)}: is empty`);
+    layer[key] = text;
+  }
+  for (const [key, file] of [["models", "models.json"], ["lexicon", "lexicon.json"]]) {
+    const p = path.join(dir, file);
+    if (!fs.existsSync(p)) continue;
+    try {
+      layer[key] = JSON.parse(fs.readFileSync(p, "utf8"));
+    } catch (err) {
+      errs.push(`${rel(file)}: ${err.message}`);
+    }
+  }
+  layer.locales = [];
+  for (const file of fs.readdirSync(dir).filter((f) => LOCALE_LEXICON_RE.test(f)).sort()) {
+    try {
+      const lex = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+      checkLexicon(lex, rel(file), errs, true);
+      layer.locales.push([file.match(LOCALE_LEXICON_RE)[1], lex]);
+    } catch (err) {
+      errs.push(`${rel(file)}: ${err.message}`);
+    }
+  }
+  return layer;
+}
+
+// ---- merging ----
+// Canon tables become [[canon, [synonyms]]] in file order (the first match wins)
+const mergeTable = (rows, extra = {}) => {
+  for (const [canon, syns] of Object.entries(extra)) {
+    const row = rows.find(([c]) => c === canon);
+    if (row) row[1].push(...syns.filter((s) => !row[1].includes(s)));
+    else rows.push([canon, [...syns]]);
+  }
+  return rows;
+};
+const mergeLexicon = (into, lex = {}) => {
+  for (const key of WORD_LISTS) into[key].push(...(lex[key] || []).filter((w) => !into[key].includes(w)));
+  for (const key of CANON_TABLES) mergeTable(into[key], lex[key]);
+  return into;
+};
+const emptyLexicon = () => Object.fromEntries([...WORD_LISTS.map((k) => [k, []]), ...CANON_TABLES.map((k) => [k, []])]);
+
+/**
+ * The resolved config of one tenant:
+ *   { tenant, prompt, specHint, matspecHint, roomHint, models: { chat, spec, vision },
+ *     maxRetries, baseDelayMs, lex: { categories, slots, colors, finishes, parts (canon
+ *     tables), intent, material, replaceStrong, replaceSoft, thisWords, allCategories } }
+ */
+function resolve(tenant, base, layer, defaults) {
+  const lex = mergeLexicon(mergeLexicon(emptyLexicon(), base.lexicon), layer.lexicon);
+  for (const [, extra] of [...base.locales, ...(layer.locales || [])]) mergeLexicon(lex, extra);
+  lex.allCategories = [...lex.categories.map(([c]) => c), ...lex.modelCategories.filter((c) => !lex.categories.some(([k]) => k === c))];
+  const models = { ...base.models, ...layer.models };
+  const chain = (k) => (models[k]?.length ? models[k] : defaults.models[k] || []);
+  return {
+    tenant,
+    prompt: layer.prompt ?? base.prompt,
+    specHint: (layer.specHint ?? base.specHint).replaceAll("{{categories}}", lex.allCategories.join("|")),
+    matspecHint: layer.matspecHint ?? base.matspecHint,
+    roomHint: layer.roomHint ?? base.roomHint,
+    models: { chat: chain("chat"), spec: chain("spec"), vision: chain("vision") },
+    maxRetries: models.maxRetries ?? 4,
+    baseDelayMs: models.baseDelayMs ?? 400,
+    lex,
+  };
+}
+
+/** Read and check the whole directory. Returns { configs: Map(tenant → config) } or { errors }. */
+export function loadConfig(dir, defaults) {
+  const errs = [];
+  const base = readLayer(dir, ".", errs);
+  for (const [key, file] of Object.entries(TEXT_FILES)) if (base[key] === undefined) errs.push(`${file}: missing`);
+  if (!base.lexicon && !errs.some((e) => e.startsWith("lexicon.json"))) errs.push("lexicon.json: missing");
+  if (base.lexicon) checkLexicon(base.lexicon, "lexicon.json", errs, false);
+  if (base.models) checkModels(base.models, "models.json", errs);
+
+  const layers = new Map([["", {}]]);
+  const tenantsDir = path.join(dir, "tenants");
+  const names = fs.existsSync(tenantsDir)
+    ? fs.readdirSync(tenantsDir, { withFileTypes: true }).filter((d) => d.isDirectory()).map((d) => d.name)
+    : [];
+  for (const name of names) {
+    const label = path.join("tenants", name);
+    if (!TENANT_RE.test(name)) { errs.push(`${label}: tenant names are lowercase letters, digits, "-" and "_"`); continue; }
+    const layer = readLayer(path.join(tenantsDir, name), label, errs);
+    if (layer.lexicon) checkLexicon(layer.lexicon, path.join(label, "lexicon.json"), errs, true);
+    if (layer.models) checkModels(layer.models, path.join(label, "models.json"), errs);
+    layers.set(name, layer);
+  }
+  if (errs.length) return { errors: errs };
+  const configs = new Map();
+  for (const [name, layer] of layers) configs.set(name, resolve(name, base, layer, defaults));
+  return { configs };
+}
+
+/**
+ * Load dir, then keep it current. defaults: { models: provider chains }. onReload(ok,
+ * errors) after each reload.
+ * Throws when the initial load fails.
+ */
+export function createConfig(dir, defaults, { onReload = () => {} } = {}) {
+  const first = loadConfig(dir, defaults);
+  if (first.errors) throw new Error(`Invalid config in ${dir}:\n  ${first.errors.join("\n  ")}`);
+  let configs = first.configs;
+
+  const reload = () => {
+    let res;
+    try {
+      res = loadConfig(dir, defaults);
+    } catch (err) {
+      res = { errors: [err.message] };
+    }
+    if (res.errors) {
+      log.error("config reload failed; keeping the previous config", { dir, errors: res.errors });
+      onReload(false, res.errors);
+      return false;
+    }
+    configs = res.configs;
+    log.info("config reloaded", { dir, tenants: [...configs.keys()].filter(Boolean) });
+    onReload(true, []);
+    return true;
+  };
+
+  // Editors write files in several steps; one reload per burst of changes
+  let timer = null;
+  let watcher = null;
+  try {
+    watcher = fs.watch(dir, { recursive: true }, () => {
+      clearTimeout(timer);
+      timer = setTimeout(reload, RELOAD_DEBOUNCE_MS);
+    });
+    watcher.on("error", (err) => log.warn("config watch stopped", { dir, error: err.message }));
+    watcher.unref();
+  } catch (err) {
+    log.warn("config is not watched (reload with SIGHUP)", { dir, error: err.message });
+  }
+
+  return {
+    // Unknown/removed tenants get the base config
+    get: (tenant) => configs.get(tenant || "") || configs.get(""),
+    has: (tenant) => !!tenant && configs.has(tenant),
+    tenants: () => [...configs.keys()].filter(Boolean),
+    reload,
+    close() {
+      clearTimeout(timer);
+      watcher?.close();
+    },
+  };
+}
@@ -0,0 +1,130 @@
+// controls.js — UI control events from the game (item focus, placement, previews, ...)
+//
+// These arrive as their own message type (v1 CONTROL|{json}, v2 {"type":"control",...})
+// and are validated against a schema per event. The server turns valid ones into state
+// changes and, for events Roomie should react to, a tag it writes itself, so the model
+// only ever sees tags the server built. Bracket tags typed into USER text are neutralized;
+// v1 builds that predate CONTROL may lead their USER text with one (splitLegacyText).
+
+// Field kinds: "id" (non-empty string), "string", "number" (>= 0), "strings", "transform"
+const SCHEMAS = {
+  item_focus:       { item_id: "id", name: "string", price: "number", category: "string", material_slots: "strings", transform: "transform" },
+  focus_clear:      {},
+  preview_shown:    { item_id: "id", name: "string", price: "number", category: "string" },
+  placed:           { item_id: "id", name: "string", transform: "transform" },
+  replaced:         { item_id: "id", new_item_id: "id", name: "string", transform: "transform" },
+  material_changed: { item_id: "id", slot: "string", color: "string", finish: "string" },
+};
+// Required fields per event (the rest are optional)
+const REQUIRED = {
+  item_focus: ["item_id", "name"],
+  preview_shown: ["item_id", "name"],
+  placed: ["item_id"],
+  replaced: ["item_id", "new_item_id"],
+  material_changed: ["item_id", "slot"],
+};
+export const CONTROL_EVENTS = Object.keys(SCHEMAS);
+
+// Every tag name the prompt reacts to; user text must not be able to produce them
+const TAG_NAMES = [
+  "PREVIEW_SHOWN", "CART_UPDATED", "CHECKOUT_STARTED", "ORDER_CREATED", "CATALOG_NO_MATCH",
+  "ITEM_FOCUS", "FOCUS_CLEAR", "PLACED", "REPLACED", "MATERIAL_CHANGED", "MATERIAL_UNSUPPORTED", "ROOM_IMAGE",
+];
+
+const finite = (v) => typeof v === "number" && Number.isFinite(v);
+
+const CHECKS = {
+  id: (v) => (typeof v === "string" || finite(v)) && String(v).trim() ? String(v).trim() : undefined,
+  string: (v) => (typeof v === "string" ? v.trim() : undefined),
+  number: (v) => {
+    const n = typeof v === "string" && v.trim() ? Number(v) : v;
+    return finite(n) && n >= 0 ? n : undefined;
+  },
+  strings: (v) => {
+    const arr = Array.isArray(v) ? v : typeof v === "string" ? v.split(/[|/,]/) : null;
+    return arr && arr.every((s) => typeof s === "string") ? arr.map((s) => s.trim().toLowerCase()).filter(Boolean) : undefined;
+  },
+  // { x, y, z?, rot? } in cm / degrees
+  transform: (v) => {
+    if (!v || typeof v !== "object" || !finite(v.x) || !finite(v.y)) return undefined;
+    for (const k of ["z", "rot"]) if (v[k] != null && !finite(v[k])) return undefined;
+    return { x: v.x, y: v.y, z: v.z ?? 0, rot: v.rot ?? 0 };
+  },
+};
+const EXPECTED = {
+  id: "a non-empty id", string: "a string", number: "a number ≥ 0",
+  strings: "a list of strings", transform: "{ x, y, z?, rot? } numbers",
+};
+
+/**
+ * Validate one control message body: { event, ...fields }.
+ * Returns { event, fields } (only schema fields, normalized) or { error }.
+ */
+export function parseControl(body) {
+  const event = String(body?.event ?? "").trim().toLowerCase();
+  const schema = SCHEMAS[event];
+  if (!schema) return { error: `Unknown control event "${event}" (${CONTROL_EVENTS.join(", ")})` };
+  const fields = {};
+  for (const [key, kind] of Object.entries(schema)) {
+    const raw = body[key];
+    if (raw == null || raw === "") {
+      if ((REQUIRED[event] || []).includes(key)) return { error: `${event}.${key} is required` };
+      continue;
+    }
+    const v = CHECKS[kind](raw);
+    if (v === undefined) return { error: `${event}.${key} must be ${EXPECTED[kind]}` };
+    fields[key] = v;
+  }
+  return { event, fields };
+}
+
+// Tag text for the model, built from validated fields only ("" = silent event)
+const q = (s) => `"${String(s).replace(/["\]\[]/g, "'")}"`;
+export function controlTag(event, f) {
+  const price = f.price != null ? ` price=${f.price}` : "";
+  if (event === "item_focus") {
+    const slots = f.material_slots?.length ? ` slots=${f.material_slots.join("/")}` : "";
+    return `[ITEM_FOCUS id=${q(f.item_id)} name=${q(f.name)}${price}${slots}]`;
+  }
+  if (event === "preview_shown") return `[PREVIEW_SHOWN id=${q(f.item_id)} name=${q(f.name)}${price}]`;
+  if (event === "material_changed") {
+    const look = [f.color, f.finish].filter(Boolean).map(q).join(" ");
+    return `[MATERIAL_CHANGED id=${q(f.item_id)} slot=${q(f.slot)}${look ? ` ${look}` : ""}]`;
+  }
+  return "";
+}
+
+// "[ORDER_CREATED #123]" typed by a customer → "(ORDER_CREATED #123)"
+const TAG_RE = new RegExp(`\\[(\\s*(?:${TAG_NAMES.join("|")})\\b[^\\[\\]]*)\\]?`, "gi");
+export const neutralizeTags = (text) => String(text ?? "").replace(TAG_RE, "($1)");
+
+/**
+ * Old builds send controls as a leading tag inside USER text:
+ *   [ITEM_FOCUS id=Sofa001 name="Beddinge Sofa" price=1290 slots=fabric/legs]
+ * Returns the same shape as parseControl, or null when the text doesn't start with one.
+ * Free text outside key=value pairs stands in for a missing id/name ("[PLACED Sofa001]").
+ */
+const LEGACY_KEYS = { id: "item_id", new_id: "new_item_id", slots: "material_slots" };
+export function parseLegacyTag(text) {
+  const m = String(text || "").trim().match(/^\[\s*([A-Z_]+)\b([^\]]*)\]/i);
+  if (!m || !SCHEMAS[m[1].toLowerCase()]) return null;
+  const body = { event: m[1].toLowerCase() };
+  for (const [, k, quoted, bare] of m[2].matchAll(/(\w+)\s*=\s*(?:"([^"]*)"|(\S+))/g)) {
+    body[LEGACY_KEYS[k.toLowerCase()] || k.toLowerCase()] = quoted ?? bare;
+  }
+  const rest = m[2].replace(/(\w+)\s*=\s*(?:"[^"]*"|\S+)/g, "").trim();
+  if (rest && !body.name) body.name = rest;
+  if (rest && !body.item_id) body.item_id = rest;
+  return parseControl(body);
+}
+
+/**
+ * USER text from a v1 build without CONTROL: only its leading control tag is the app's
+ * (parseLegacyTag); tags anywhere else were typed and are neutralized.
+ * Returns { control (null, { error } or parseLegacyTag's result), text (the rest) }.
+ */
+export function splitLegacyText(text) {
+  const control = parseLegacyTag(text);
+  const rest = control ? String(text).trim().replace(/^\[[^\]]*\]/, "").trim() : String(text ?? "");
+  return { control, text: neutralizeTags(rest) };
+}
@@ -0,0 +1,82 @@
+// coshop.js — co-shopping: several devices in one design session
+//
+// A participant asks for a short join code (SHARE) and others join with it (JOIN, or
+// ?join=CODE / hello "join"). Every socket attached to a session gets its turn events,
+// tagged with the participant who started the turn; turns were already serialized per
+// session (turns.js). A socket leaving only detaches it — the session stays for the rest.
+// Joiners get a resume token of their own (sessions.js), never the session's.
+import crypto from "node:crypto";
+
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // 32 chars, no 0/O or 1/I
+const CODE_LENGTH = 6;
+const MAX_NAME = 24;
+const MAX_KNOWN = 12; // participants remembered per session (connected ones always are)
+export const MAX_MEMBERS = Number(process.env.COSHOP_MAX_MEMBERS) || 6;
+
+const randomCode = () => Array.from(crypto.randomBytes(CODE_LENGTH), (b) => CODE_ALPHABET[b % CODE_ALPHABET.length]).join("");
+export const normalizeCode = (s) => String(s ?? "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+// Names end up in model text ("Ana: ...") and tags, so no brackets, colons or newlines
+export const cleanName = (s) => String(s ?? "").replace(/[[\]():\r\n]/g, "").trim().slice(0, MAX_NAME);
+
+/** Connected sockets per session and the join codes that lead to them. */
+export function createGroups(sessions) {
+  const members = new Map(); // session.id -> Set<ws>
+  const codes = new Map();   // join code -> session token (every live code, so lookups never scan)
+  for (const s of sessions.byToken.values()) if (s.share_code) codes.set(s.share_code, s.token);
+
+  return {
+    members: (session) => [...(members.get(session.id) || [])],
+    add(session, ws) {
+      if (!members.has(session.id)) members.set(session.id, new Set());
+      members.get(session.id).add(ws);
+    },
+    // Returns how many sockets are still attached
+    remove(session, ws) {
+      const set = members.get(session.id);
+      if (!set) return 0;
+      set.delete(ws);
+      if (!set.size) members.delete(session.id);
+      return set.size;
+    },
+    // One code per session, kept on it (so it survives restarts with the file store)
+    codeFor(session) {
+      if (!session.share_code) {
+        let code;
+        do code = randomCode(); while (codes.has(code));
+        session.share_code = code;
+        sessions.save(session);
+      }
+      codes.set(session.share_code, session.token);
+      return session.share_code;
+    },
+    // Session for a code, or null when unknown/expired
+    find(code) {
+      const c = normalizeCode(code);
+      const s = c && codes.has(c) ? sessions.get(codes.get(c)) : null;
+      if (!s) codes.delete(c);
+      return s;
+    },
+  };
+}
+
+/**
+ * Register a socket's participant on the session. A known id (reconnect) keeps its entry;
+ * otherwise a new one is made. Returns the participant id.
+ */
+export function addParticipant(session, { id, name } = {}, connected = []) {
+  const ps = (session.participants ??= {});
+  const clean = cleanName(name);
+  if (!id || !ps[id]) {
+    id = crypto.randomBytes(3).toString("hex");
+    ps[id] = { name: clean || `Shopper ${Object.keys(ps).length + 1}` };
+    // Forget the longest-gone participants that aren't connected
+    const gone = Object.keys(ps).filter((k) => k !== id && !connected.includes(k)).sort((a, b) => ps[a].seen - ps[b].seen);
+    for (const k of gone.slice(0, Math.max(0, Object.keys(ps).length - MAX_KNOWN))) delete ps[k];
+  } else if (clean) {
+    ps[id].name = clean;
+  }
+  ps[id].seen = Date.now();
+  return id;
+}
+
+export const participantName = (session, id) => session.participants?.[id]?.name || "";
@@ -0,0 +1,88 @@
+// currency.js — which currency a budget was given in, and offline conversion to the
+// store's base currency (the catalog is priced in it).
+//
+// Rates come from CURRENCY_RATES_PATH (JSON: { "base": "GEL", "as_of": "...", "rates": { "USD": 2.7 } },
+// meaning 1 USD = 2.7 GEL) or the built-in table below. Nothing is fetched at runtime.
+import fs from "node:fs";
+import { log } from "./log.js";
+
+// Approximate defaults; override with a rates file for real pricing
+const DEFAULT_RATES = {
+  base: "GEL",
+  as_of: "2025-08",
+  rates: { GEL: 1, USD: 2.7, EUR: 3.15, GBP: 3.65, TRY: 0.066, RUB: 0.034, AUD: 1.76, CAD: 1.96, INR: 0.031, JPY: 0.018, CNY: 0.37 },
+};
+
+const SYMBOLS = { GEL: "₾", USD: "$", EUR: "€", GBP: "£", TRY: "₺", RUB: "₽", JPY: "¥", CNY: "¥", INR: "₹", AUD: "A$", CAD: "C$" };
+
+// Currency tokens → ISO code (symbols, codes, words; en/ru/ka)
+const TOKENS = [
+  ["GEL", ["₾", "gel", "lari", "laris", "лари", "ლარ"]],
+  ["USD", ["$", "usd", "dollars", "dollar", "bucks", "buck", "долл", "доллар", "დოლარ"]],
+  ["EUR", ["€", "eur", "euros", "euro", "евро", "ევრო"]],
+  ["GBP", ["£", "gbp", "pounds", "quid"]],
+  ["TRY", ["₺", "try", "tl", "lira"]],
+  ["RUB", ["₽", "rub", "руб", "рубл"]],
+  ["AUD", ["aud"]],
+  ["CAD", ["cad"]],
+  ["INR", ["₹", "inr", "rupees"]],
+  ["JPY", ["jpy", "yen"]],
+  ["CNY", ["cny", "rmb", "yuan"]],
+];
+const esc = (s) => s.replace(/[$]/g, "\\$");
+const NUMBER = "\\d[\\d.,\\s]*k?";
+
+export function loadRates(file) {
+  if (!file) return DEFAULT_RATES;
+  try {
+    const j = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!j || typeof j.base !== "string" || typeof j.rates !== "object") throw new Error('expected { "base", "rates" }');
+    // Codes are matched upper-case ("usd" in the file is USD)
+    const base = j.base.toUpperCase();
+    const rates = { ...Object.fromEntries(Object.entries(j.rates).map(([code, r]) => [code.toUpperCase(), r])), [base]: 1 };
+    for (const [code, r] of Object.entries(rates)) {
+      if (!(typeof r === "number" && r > 0)) throw new Error(`rate for ${code} must be a positive number`);
+    }
+    return { base, as_of: String(j.as_of || ""), rates };
+  } catch (err) {
+    log.error("currency: could not load rates, using built-in ones", { file, error: err?.message || String(err) });
+    return DEFAULT_RATES;
+  }
+}
+
+/**
+ * First currency written next to a number ("$500", "500 usd", "1500 ლარამდე", "€ 300"),
+ * or "" when the text only has bare numbers.
+ */
+export function detectCurrency(text) {
+  const t = String(text || "").toLowerCase();
+  let best = null;
+  for (const [code, tokens] of TOKENS) {
+    for (const tok of tokens) {
+      // ru/ka words inflect ("рублей", "ლარამდე"); Latin words must match whole
+      const word = !/\p{L}/u.test(tok) ? esc(tok)
+        : /^[a-z]+$/.test(tok) ? `${tok}(?![\\p{L}])` : `${tok}\\p{L}*`;
+      const re = new RegExp(`(?:${NUMBER})\\s*-?\\s*${word}|(?<![\\p{L}])${word}\\s*(?=\\d)`, "u");
+      const m = t.match(re);
+      if (m && (!best || m.index < best.at)) best = { code, at: m.index };
+    }
+  }
+  return best?.code || "";
+}
+
+export function createConverter(table = DEFAULT_RATES) {
+  const rate = (code) => table.rates[code];
+  return {
+    base: table.base,
+    asOf: table.as_of,
+    supports: (code) => !!rate(code),
+    // Amount in `from` → base currency (unchanged when the rate is unknown)
+    toBase: (amount, from) => (!amount || !from || !rate(from) ? amount : Math.round(amount * rate(from))),
+  };
+}
+
+// "₾1,350" / "1,350 XYZ"
+export const formatMoney = (amount, code) => {
+  const n = Math.round(amount).toLocaleString("en-US");
+  return SYMBOLS[code] ? `${SYMBOLS[code]}${n}` : `${n} ${code}`;
+};
@@ -0,0 +1,120 @@
+// dimensions.js — deterministic size/room extraction for SPEC (everything in centimeters)
+//
+// Understands mm/cm/m/inches/feet, "W x D x H" triples, "W x D" footprints, limits such as
+// "no wider than 180" or "max height 90 cm", "under 2 m" (width), "fits a 2.4 m wall", and
+// room sizes ("4x5 m room", "room is 4 by 5 meters"). A pair is the room only when a room
+// word directly follows it or it is linked to one ("room is ..."); otherwise it is the
+// item's own footprint. Bare numbers ≤ 10 are read as meters, larger ones as centimeters;
+// a limit needs a unit after a direction word ("under 180 cm wide") and takes a bare number
+// only when no other word follows it.
+
+const NUM = "(\\d+(?:[.,]\\d+)?)";
+const UNITS = "(mm|millimet(?:er|re)s?|cm|centimet(?:er|re)s?|m|met(?:er|re)s?|in|inch(?:es)?|\"|ft|feet|foot|')(?![a-z])";
+const UNIT = `(?:${UNITS})?`;
+// A limit's number: with a unit, or on its own when no word follows ("no wider than 180",
+// "width 180 and ..."), so counts and durations ("2 tall lamps", "no longer than 2 weeks") stay out
+const CONNECTORS = "(?:and|or|but|please|so|if|with|for)\\b";
+const LIMIT = `${NUM}(?!\\d|[.,]\\d)\\s*(?:${UNITS}|(?!\\s*(?!${CONNECTORS})\\p{L}))`;
+// Units that can't be mistaken for words ("in", "'") — a number with one is never money
+const LENGTH_UNIT = "(mm|millimet(?:er|re)s?|cm|centimet(?:er|re)s?|m|met(?:er|re)s?|inch(?:es)?|\"|ft|feet|foot)(?![a-z])";
+const X = "\\s*(?:x|\\*|by)\\s*";
+const ROOM_WORDS = "(?:room|space|bedroom|living|lounge|studio|apartment|flat|kitchen|office|nursery|hall|area)";
+
+const toCm = (value, unit = "") => {
+  const v = parseFloat(String(value).replace(",", "."));
+  if (!Number.isFinite(v)) return 0;
+  const u = unit.toLowerCase();
+  let cm;
+  if (u.startsWith("mm") || u.startsWith("milli")) cm = v / 10;
+  else if (u.startsWith("cm") || u.startsWith("centi")) cm = v;
+  else if (u === "m" || u.startsWith("met")) cm = v * 100;
+  else if (u === "in" || u.startsWith("inch") || u === '"') cm = v * 2.54;
+  else if (u === "ft" || u === "feet" || u === "foot" || u === "'") cm = v * 30.48;
+  else cm = v <= 10 ? v * 100 : v;
+  return Math.round(cm);
+};
+
+// Which SPEC field a direction word limits
+const AXIS = {
+  wide: "max_w", wider: "max_w", width: "max_w",
+  deep: "max_len", deeper: "max_len", depth: "max_len", long: "max_len", longer: "max_len", length: "max_len",
+  tall: "max_h", taller: "max_h", high: "max_h", higher: "max_h", height: "max_h",
+};
+const AXIS_WORDS = Object.keys(AXIS).sort((a, b) => b.length - a.length).join("|");
+
+/**
+ * Returns { max_w, max_len, max_h, room_w, room_len } (0 = not mentioned), or null when
+ * the text has no dimensions at all.
+ */
+export function extractDimensions(text) {
+  let t = String(text || "").toLowerCase().replace(/[×х]/g, "x").replace(/[”″]/g, '"').replace(/[’′]/g, "'");
+  const out = { max_w: 0, max_len: 0, max_h: 0, room_w: 0, room_len: 0 };
+  let found = false;
+  let m;
+
+  // Room: "4x5 m room", "5 by 4 meter bedroom", "room is 4 x 5 m", "room of 400x500".
+  // Not "200x90 sofa for the living room" or "desk for my office 120x60" (the item's size)
+  const roomAfter = new RegExp(`${NUM}\\s*${UNIT}${X}${NUM}\\s*${UNIT}\\s*${ROOM_WORDS}`, "i");
+  const roomBefore = new RegExp(`${ROOM_WORDS}\\s*(?:is|of|measures|measuring|:)\\s*(?:about\\s*|around\\s*)?${NUM}\\s*${UNIT}${X}${NUM}\\s*${UNIT}`, "i");
+  if ((m = t.match(roomAfter)) || (m = t.match(roomBefore))) {
+    const unit = m[4] || m[2] || "";
+    out.room_w = toCm(m[1], m[2] || unit);
+    out.room_len = toCm(m[3], unit);
+    found = true;
+    t = t.replace(m[0], " ");
+  }
+
+  // Triple: W x D x H (a unit on the last number applies to all)
+  m = t.match(new RegExp(`${NUM}\\s*${UNIT}${X}${NUM}\\s*${UNIT}${X}${NUM}\\s*${UNIT}`, "i"));
+  if (m) {
+    const unit = m[6] || m[4] || m[2] || "";
+    out.max_w = toCm(m[1], m[2] || unit);
+    out.max_len = toCm(m[3], m[4] || unit);
+    out.max_h = toCm(m[5], unit);
+    found = true;
+    t = t.replace(m[0], " ");
+  } else if ((m = t.match(new RegExp(`${NUM}\\s*${UNIT}${X}${NUM}\\s*${UNIT}`, "i")))) {
+    // Pair without room context: footprint W x D
+    const unit = m[4] || m[2] || "";
+    out.max_w = toCm(m[1], m[2] || unit);
+    out.max_len = toCm(m[3], unit);
+    found = true;
+    t = t.replace(m[0], " ");
+  }
+
+  // Wall: "fits a 2.4 m wall", "for a 240 cm wide wall", "wall of 3 m"
+  m = t.match(new RegExp(`${NUM}\\s*${UNIT}\\s*(?:wide\\s+|long\\s+)?wall`, "i")) ||
+      t.match(new RegExp(`wall\\s*(?:is|of|:)?\\s*${NUM}\\s*${UNIT}`, "i"));
+  if (m) {
+    if (!out.max_w) out.max_w = toCm(m[1], m[2] || "");
+    found = true;
+  }
+
+  // "no wider than 180", "not taller than 0.9 m"
+  const cmp = new RegExp(`(?:no|not|nothing)\\s+(${AXIS_WORDS})\\s+than\\s*${LIMIT}`, "giu");
+  // "max width 180", "width under 2 m", "height: 90cm"
+  const named = new RegExp(`(?:max(?:imum)?\\s*)?(${AXIS_WORDS})\\s*(?:max(?:imum)?|under|below|up\\s*to|of\\s*at\\s*most|at\\s*most|less\\s*than|<=?|:|=|is|of)?\\s*${LIMIT}`, "giu");
+  // "under 180 cm wide", "200 cm long" (not "2 tall lamps", "4 high chairs")
+  const suffix = new RegExp(`${NUM}\\s*${UNITS}\\s*(${AXIS_WORDS})\\b`, "gi");
+
+  // "under 2 m", "at most 180 cm" with no direction word: the item's width (a unit is required)
+  const bare = new RegExp(`(?:under|below|up\\s*to|at\\s*most|max(?:imum)?|no\\s*more\\s*than|less\\s*than|within)\\s*${NUM}\\s*${LENGTH_UNIT}`, "gi");
+
+  // Each form consumes its matches so a later, looser one can't read them again
+  const set = (axis, value, unit, keep) => {
+    if (!keep || !out[axis]) out[axis] = toCm(value, unit || "");
+    found = true;
+    return " ";
+  };
+  t = t.replace(cmp, (_, ax, v, u) => set(AXIS[ax], v, u, false));
+  t = t.replace(named, (_, ax, v, u) => set(AXIS[ax], v, u, true));
+  t = t.replace(suffix, (_, v, u, ax) => set(AXIS[ax], v, u, true));
+  t = t.replace(bare, (_, v, u) => set("max_w", v, u, true));
+
+  return found ? out : null;
+}
+
+/** text without its lengths ("200 cm", "2x3 m", "80 inches"), so they aren't read as money. */
+export const withoutLengths = (text) => String(text || "")
+  .replace(new RegExp(`${NUM}\\s*${UNIT}${X}${NUM}\\s*${UNIT}(?:${X}${NUM}\\s*${UNIT})?`, "gi"), " ")
+  .replace(new RegExp(`${NUM}\\s*${LENGTH_UNIT}`, "gi"), " ");
@@ -0,0 +1,131 @@
+// guardrail.js — checks a finished chat reply against the prompt's hard rules
+//
+// checkReply lists violations; repairReply fixes what can be fixed by editing the text
+// (extra questions, length, wrong item prices, promises, wrong item sizes — by dropping
+// or rewriting sentences). index.js regenerates once first when a violation says so.
+// Prices/sizes are only checked in sentences that name a known item, so general advice
+// ("mid-range sofas run ₾800–1,200") is left alone; each amount belongs to the item named
+// closest before it ("the Blue Sofa is ₾1,190 and the Black Sofa is ₾990").
+import { detectCurrency, formatMoney } from "./currency.js";
+
+// Availability promises and leaks of the hidden context/system text
+const FORBIDDEN = [
+  ["availability", /\b(in stock|available (?:now|today)|ships? (?:today|tomorrow)|same[- ]day delivery|guaranteed delivery)\b|в наличии|მარაგშია/i],
+  ["leak", /\b(context note|system prompt|my instructions)\b|^\s*(?:system|context):/im],
+];
+
+const PRICE_TOLERANCE = 0.03;   // conversions and rounding
+const SIZE_TOLERANCE_CM = 2;
+
+const NUM = "\\d[\\d,]*(?:\\.\\d+)?k?";
+const MONEY_RE = new RegExp(`(?:[₾$€£₽]\\s?${NUM}|${NUM}\\s?(?:₾|gel\\b|lari\\b|лари|ლარ\\p{L}*|usd\\b|\\$|eur\\b|€|руб\\p{L}*))`, "giu");
+const SIZE_RE = /\d+(?:[.,]\d+)?(?:\s*[x×]\s*\d+(?:[.,]\d+)?)*\s*(?:cm|см|სმ)/giu;
+
+// Sentences with the line they came from, so bullets survive a repair
+const units = (text) => text.split("\n").flatMap((line, n) =>
+  line.split(/(?<=[.!?…])\s+/).filter((s) => s.trim()).map((s) => ({ s, n })));
+const joinUnits = (us) => {
+  const lines = [];
+  for (const u of us) (lines[u.n] ||= []).push(u.s);
+  return lines.filter(Boolean).map((l) => l.join(" ")).join("\n").trim();
+};
+const questions = (s) => (s.match(/[?？]/g) || []).length;
+const amountOf = (token) => {
+  const m = token.replace(/,/g, "").match(/\d+(?:\.\d+)?k?/);
+  if (!m) return 0;
+  return m[0].endsWith("k") ? parseFloat(m[0]) * 1000 : parseFloat(m[0]);
+};
+const close = (a, b, tol) => Math.abs(a - b) <= tol;
+
+// The item an amount at index `at` of the sentence is about: the one named closest before it,
+// or the only item the sentence names. null when that's ambiguous (left unchecked).
+const itemAt = (sentence, at, items) => {
+  const lower = sentence.toLowerCase();
+  const named = items.filter((it) => it.name && lower.includes(it.name.toLowerCase()));
+  let best = null, bestEnd = -1;
+  for (const it of named) {
+    const i = lower.lastIndexOf(it.name.toLowerCase(), at);
+    const end = i < 0 ? -1 : i + it.name.length;
+    if (i >= 0 && end <= at && end > bestEnd) { best = it; bestEnd = end; }
+  }
+  return best || (named.length === 1 ? named[0] : null);
+};
+const tokens = (s, re) => [...s.matchAll(re)].map((m) => ({ tok: m[0], at: m.index }));
+
+/**
+ * facts: {
+ *   items: [{ name, price, width_cm, depth_cm, height_cm }]  focused item, cart lines, catalog
+ *   maxQuestions: 1 (0 for replies that must not follow up), maxChars,
+ *   fx: converter from currency.js (prices in the reply may use another currency)
+ * }
+ * Returns [{ rule, detail, fix: "repair"|"regenerate"|"log" }].
+ */
+export function checkReply(text, facts) {
+  const out = [];
+  const q = questions(text);
+  if (q > facts.maxQuestions) out.push({ rule: "questions", detail: `${q} questions (max ${facts.maxQuestions})`, fix: "repair" });
+  if (facts.maxQuestions && !q) out.push({ rule: "questions", detail: "no question", fix: "log" });
+  if (text.length > facts.maxChars) out.push({ rule: "length", detail: `${text.length} chars (max ${facts.maxChars})`, fix: "repair" });
+  for (const [rule, re] of FORBIDDEN) {
+    const m = text.match(re);
+    if (m) out.push({ rule, detail: m[0].trim(), fix: "regenerate" });
+  }
+  for (const { s } of units(text)) {
+    for (const { tok, at } of tokens(s, MONEY_RE)) {
+      const it = itemAt(s, at, facts.items);
+      if (!it?.price) continue;
+      const amount = facts.fx.toBase(amountOf(tok), detectCurrency(tok) || facts.fx.base);
+      if (!close(amount, it.price, it.price * PRICE_TOLERANCE)) {
+        out.push({ rule: "price", detail: `${it.name}: said ${tok.trim()}, catalog ${it.price}`, fix: "repair" });
+      }
+    }
+    for (const { tok, at } of tokens(s, SIZE_RE)) {
+      const it = itemAt(s, at, facts.items);
+      const dims = it ? [it.width_cm, it.depth_cm, it.height_cm].filter(Boolean) : [];
+      if (!dims.length) continue;
+      const wrong = (tok.match(/\d+(?:[.,]\d+)?/g) || []).map((n) => parseFloat(n.replace(",", ".")))
+        .filter((n) => !dims.some((d) => close(n, d, SIZE_TOLERANCE_CM)));
+      if (wrong.length) out.push({ rule: "size", detail: `${it.name}: said ${tok.trim()}, catalog ${dims.join("×")} cm`, fix: "regenerate" });
+    }
+  }
+  return out;
+}
+
+// Edit the text until checkReply has nothing left to repair (best effort, never empty)
+export function repairReply(text, facts) {
+  const base = facts.fx.base;
+  let parts = units(text).map(({ s, n }) => {
+    // Wrong price for the item it follows → the catalog price
+    s = s.replace(MONEY_RE, (tok, at, whole) => {
+      const it = itemAt(whole, at, facts.items);
+      if (!it?.price) return tok;
+      const amount = facts.fx.toBase(amountOf(tok), detectCurrency(tok) || base);
+      return close(amount, it.price, it.price * PRICE_TOLERANCE) ? tok : formatMoney(it.price, base);
+    });
+    return { s, n };
+  });
+  const keep = (fn) => { const next = parts.filter(fn); if (next.length) parts = next; };
+
+  // Promises, leaks and wrong sizes can't be reworded safely: drop those sentences
+  keep(({ s }) => !FORBIDDEN.some(([, re]) => re.test(s)));
+  keep(({ s }) => !checkReply(s, { ...facts, maxQuestions: 99, maxChars: Infinity }).some((v) => v.rule === "size"));
+
+  // Keep only the last question (or none when the reply must not follow up)
+  const asked = parts.filter(({ s }) => questions(s));
+  const lastQ = asked[asked.length - 1];
+  if (asked.length > facts.maxQuestions) keep((u) => !questions(u.s) || (facts.maxQuestions && u === lastQ));
+
+  // Too long: keep the opening sentences and the closing one (usually the question)
+  if (joinUnits(parts).length > facts.maxChars) {
+    const tail = parts[parts.length - 1];
+    const head = [];
+    let len = tail.s.length;
+    for (const u of parts.slice(0, -1)) {
+      if (len + u.s.length + 1 > facts.maxChars) break;
+      head.push(u);
+      len += u.s.length + 1;
+    }
+    parts = [...head, tail];
+  }
+  return joinUnits(parts);
+}
@@ -0,0 +1,46 @@
+// image.js — room screenshots sent for a style read-out (IMAGE messages)
+//
+// The game captures the current room as base64 PNG/JPEG (a data: URL is fine too). The
+// type is read from the bytes, not trusted from the client, and the size is checked from
+// the base64 length before anything is decoded.
+
+const SIGNATURES = [
+  ["image/png",  [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+  ["image/jpeg", [0xff, 0xd8, 0xff]],
+];
+export const IMAGE_TYPES = SIGNATURES.map(([type]) => type);
+const ALIASES = { "image/jpg": "image/jpeg" };
+const BASE64_RE = /^[A-Za-z0-9+/]*={0,2}$/;
+const MAX_QUESTION = 500;
+
+const kb = (n) => `${Math.ceil(n / 1024)} KB`;
+
+/**
+ * body: { data: base64 or data: URL, mime?, text? (question) }
+ * Returns { image: { mimeType, data, bytes }, question } or { error, tooLarge, unsupported }
+ * — tooLarge/unsupported mark oversized and non-PNG/JPEG payloads.
+ */
+export function parseImage(body, { maxBytes }) {
+  let data = typeof body?.data === "string" ? body.data.trim() : "";
+  if (!data) return { error: `image data (base64 ${IMAGE_TYPES.join(" or ")}) is required` };
+  let declared = String(body.mime || "").trim().toLowerCase();
+  const url = data.match(/^data:([^;,]*);base64,/i);
+  if (url) {
+    declared ||= url[1].toLowerCase();
+    data = data.slice(url[0].length);
+  }
+  data = data.replace(/\s+/g, "");
+
+  const bytes = Math.floor((data.length * 3) / 4) - (data.endsWith("==") ? 2 : data.endsWith("=") ? 1 : 0);
+  if (bytes > maxBytes) return { error: `Image is ${kb(bytes)}; the limit is ${kb(maxBytes)}`, tooLarge: true };
+  if (data.length % 4 || !BASE64_RE.test(data)) return { error: "image data is not valid base64" };
+
+  const head = Buffer.from(data.slice(0, 12), "base64");
+  const type = SIGNATURES.find(([, sig]) => sig.every((b, i) => head[i] === b))?.[0];
+  if (!type) return { error: `Only ${IMAGE_TYPES.join(" and ")} images are accepted`, unsupported: true };
+  declared = ALIASES[declared] || declared;
+  if (declared && declared !== type) return { error: `mime is ${declared} but the data is ${type}`, unsupported: true };
+
+  const question = String(body.text ?? "").trim().slice(0, MAX_QUESTION);
+  return { image: { mimeType: type, data, bytes }, question };
+}
@@ -1,15 +1,47 @@
 // index.js  (Node 20+)
 // Requires: npm i ws @google/genai dotenv
 import "dotenv/config";
+import http from "node:http";
 import { WebSocketServer } from "ws";
-import { GoogleGenAI } from "@google/genai";
+import { createProvider } from "./providers/index.js";
+import { loadCatalog } from "./catalog.js";
+import { extractDimensions } from "./dimensions.js";
+import { parseLayout, checkLayout, layoutSummary } from "./layout.js";
+import { LANGUAGES, detectLanguage } from "./lexicons.js";
+import { loadRates, createConverter, detectCurrency, formatMoney } from "./currency.js";
+import { checkReply, repairReply } from "./guardrail.js";
+import { parseControl, splitLegacyText, controlTag, neutralizeTags } from "./controls.js";
+import { newCart, applyCartAction, cartTotals, cartView, cartSummary } from "./cart.js";
+import { createOrderStore } from "./orders.js";
+import { noteText, noteSpecs, noteMatSpec, noteRoom, noteRejected, profileSummary, findStyles } from "./profile.js";
+import { createSpecBuilder, extractBudget, findCanon, stripLeadingTag, isMaterialIntent, isReplaceIntent } from "./specs.js";
+import { parseImage } from "./image.js";
+import { createTranscript } from "./transcript.js";
+import { createSessionStore } from "./sessions.js";
+import { createTurnRunner } from "./turns.js";
+import { createGroups, addParticipant, participantName, MAX_MEMBERS } from "./coshop.js";
+import { createAuth } from "./auth.js";
+import { createRateLimiter, createBreaker } from "./limits.js";
+import { makeTools, FOCUS_TOOLS, MODEL_CART_ACTIONS } from "./tools.js";
+import { createConfig, DEFAULT_CONFIG_DIR } from "./config.js";
+import { parseMessage, parseFlat, protocolVersion, emit as emitFrame, ERR, PROTOCOL_VERSIONS, SERVER_NAME } from "./protocol.js";
+import { log } from "./log.js";
+import { counter, gauge, histogram, render as renderMetrics } from "./metrics.js";
 
-const ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+// LLM backend (LLM_PROVIDER=gemini|openai|mock) and its model chains
+const { provider, models } = createProvider();
 const PORT = process.env.PORT || 3001;
 
-// -------- anti-overload helpers --------
-const MAX_RETRIES = 4;
-const BASE_DELAY_MS = 400;
+// Showroom catalog (JSON or CSV export of in-game items); empty → choice_id stays blank
+const catalog = loadCatalog(process.env.CATALOG_PATH || "");
+
+// Offline FX table; budgets are converted to the catalog's base currency
+const fx = createConverter(loadRates(process.env.CURRENCY_RATES_PATH || ""));
+
+// SPEC/MATSPEC rules over the model's JSON (specs.js)
+const { specFromJson, matSpecFromJson } = createSpecBuilder({ catalog, fx });
+
+// -------- anti-overload helpers (retry counts/delays come from models.json) --------
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 const jitter = (ms) => ms + Math.floor((Math.random() * 2 - 1) * (ms * 0.25));
 const isRetryable = (err) => {
@@ -18,532 +50,1175 @@ const isRetryable = (err) => {
   return s === 429 || s === 500 || s === 502 || s === 503 || s === 504 ||
          msg.includes("overload") || msg.includes("unavailable") || msg.includes("temporar");
 };
-const logErr = (where, err) => {
-  const s = err?.status ?? err?.code ?? "n/a";
-  console.error(`[${where}] status=${s} ${err?.message || err}`);
-};
-
-// Models — lighter for JSON, higher quality for chat
-const CHAT_MODEL = "gemini-2.5-flash";
-const SPEC_MODEL = "gemini-1.5-flash";    // cheaper/lighter for JSON structs
-
-// --- System prompt (unified salesperson tone + one question) ---
-const SYSTEM_PROMPT = `
-You are “Roomie,” a friendly, engaging, professional interior-design assistant and showroom salesperson for home interiors.
-Your goal is to help the user make confident purchase decisions while giving creative, practical design advice.
-
-Behavior
-- Always keep a supportive salesperson tone (never pushy).
-- Ask exactly one clarifying question per message. End each reply with exactly one question (max one “?” in the whole message).
-- Be concise: use short bullets, then a one-sentence summary. keep texts medium-sized and engaging, don't risk boring a customer with long text.
-- Use centimeters; mind clearances (60–90 cm walkways; ~60 cm per dining seat) and common rug sizes (160×230, 200×300, 240×340).
-- Do not overpromise availability; defer to the in-game catalog and previews shown in the app.
-- Offer budget/mid/premium options when relevant; keep brands generic unless asked.
-
-UI coordination
-- If a message begins with [PREVIEW_SHOWN ...], only briefly acknowledge the item (name/price), don't follow up.
-- If a message begins with [CART_UPDATED ...], confirm the change and ask one helpful follow-up.
-- If a message begins with [CHECKOUT_STARTED], guide the user through confirming their cart in 1–2 brief turns (still one question per reply).
-- If a message begins with [ORDER_CREATED ...], congratulate and offer next steps (receipt, tracking, continue browsing).
-- If a message begins with [CATALOG_NO_MATCH], apologize briefly and ask which single constraint to relax (size, budget, style, color, material).
-- If a message begins with [ITEM_FOCUS ...]:
-    1) Treat this as the item the user wants to modify. Acknowledge it briefly by name and price.
-    2) Ask exactly ONE question that separates paths: “Would you like to change the material or replace the model?”
-    3) Keep replies short and focused on that path. Do not list multiple products; the app will show one preview/apply action.
-- If a message begins with [FOCUS_CLEAR ...], [PLACED ...], or [REPLACED ...], do not reply. Treat it as a silent UI control signal and stop referring to a specific item.
-- If a message begins with [MATERIAL_CHANGED ...], acknowledge the new finish/color and ask one brief follow-up (e.g., “Keep the legs in black matte or try brass?”).
-
-General
-- If the user says “replace this…” or “make this …” without a focused item, ask which item they mean before proceeding.
-`;
-
-// --- Per-socket short history (Gemini contents-style) ---
-const histories = new WeakMap(); // ws -> [{role:'user'|'model', parts:[{text}]}...]
-const chatBusy = new WeakMap();   // ws -> boolean (serialize chat streams)
-
-const wss = new WebSocketServer({ port: PORT }, () =>
-  console.log(`roomie-gemini-ws listening on ${PORT}`)
-);
-
-// Build contents for Gemini from history + new user text
-const buildContents = (hist, userText) => {
+// ctx (optional): the turn's { session, turn_id, participant } for the log line
+const logErr = (where, err, ctx = {}) => {
+  log.error(where, {
+    status: err?.status ?? err?.code ?? "n/a", error: err?.message || String(err),
+    session: ctx.session, turn_id: ctx.turn_id, participant: ctx.participant,
+  });
+};
+
+// -------- metrics (GET /metrics) --------
+const turnsTotal = counter("roomie_turns_total", "Chat turns by how they ended");
+const modelSeconds = histogram("roomie_model_request_seconds", "Model calls per attempt, by call, model and outcome");
+const modelRetries = counter("roomie_model_retries_total", "Retries after a retryable model error");
+const modelFallbacks = counter("roomie_model_fallbacks_total", "Calls that went to a fallback model");
+const dispatchTotal = counter("roomie_dispatch_total", "SPEC/MATSPEC events sent, by source (explicit, auto, tool)");
+const toolCalls = counter("roomie_tool_calls_total", "Tool calls made by the chat model");
+const errorsTotal = counter("roomie_errors_total", "ERROR events sent to clients, by code");
+const guardrailTotal = counter("roomie_guardrail_violations_total", "Reply guardrail violations, by rule");
+const rejectedTotal = counter("roomie_rejected_total", "Requests turned away, by reason (auth, origin, rate limits, breaker, size)");
+const timeModel = (call, model, t0, outcome) => modelSeconds.observe({ call, model, outcome }, (performance.now() - t0) / 1000);
+
+// Every ERROR event is counted once (broadcasts send the frame to each peer directly)
+const emit = (ws, type, body = {}, ctx = {}, opts) => {
+  if (type === "error") errorsTotal.inc({ code: body.code || "UNKNOWN" });
+  emitFrame(ws, type, body, ctx, opts);
+};
+
+const IMAGE_MAX_BYTES = Number(process.env.IMAGE_MAX_BYTES) || 4 * 1024 * 1024;
+
+// Persona, schema hints, model chains and vocabulary (config.js): CONFIG_DIR, per tenant,
+// reloaded when the files change. Requests use their session's config as it is when made.
+// Model chains: first entry is primary (retried), the rest are one-shot fallbacks.
+const configReloads = counter("roomie_config_reloads_total", "Config reloads after a file change, by outcome");
+let config;
+try {
+  config = createConfig(process.env.CONFIG_DIR || DEFAULT_CONFIG_DIR, { models }, {
+    onReload: (ok) => configReloads.inc({ outcome: ok ? "ok" : "error" }),
+  });
+} catch (err) {
+  log.error("config", { error: err.message });
+  process.exit(1);
+}
+const configOf = (session) => config.get(session?.tenant);
+
+// --- Sessions: history, focus and prefs survive reconnects (see sessions.js) ---
+const sessions = createSessionStore();
+const sessionOf = new WeakMap();  // ws -> session
+const participantOf = new WeakMap(); // ws -> participant id within its session
+
+// Co-shopping (coshop.js): every socket on a session gets its turn events; others: true
+// skips the sender (it already knows). Request errors still go to the sender only.
+const groups = createGroups(sessions);
+const broadcast = (ws, type, body, ctx, { others = false } = {}) => {
+  if (type === "error") errorsTotal.inc({ code: body.code || "UNKNOWN" });
+  for (const peer of groups.members(sessionOf.get(ws))) if (!others || peer !== ws) emitFrame(peer, type, body, ctx);
+};
+const participantList = (session) => {
+  const connected = groups.members(session).map((peer) => participantOf.get(peer));
+  return Object.entries(session.participants || {})
+    .map(([id, p]) => ({ id, name: p.name, connected: connected.includes(id) }));
+};
+const announceParticipants = (session) => {
+  const [first] = groups.members(session);
+  if (first) broadcast(first, "participants", { participants: participantList(session) }, {});
+};
+
+// Orders written by the cart checkout flow (ORDERS_FILE)
+const orders = createOrderStore();
+
+// One chat turn at a time per session; a few more may wait (MAX_QUEUED_TURNS)
+const turns = createTurnRunner({ maxQueued: Number(process.env.MAX_QUEUED_TURNS) || 3 });
+
+// -------- access and load limits (auth.js, limits.js) --------
+// Unset → default; 0 → unlimited
+const envNum = (name, dflt) => (process.env[name] ? Number(process.env[name]) : dflt);
+const auth = createAuth();
+const MAX_MESSAGE_BYTES = envNum("MAX_MESSAGE_BYTES", 64 * 1024); // IMAGE frames may be up to the image limit
+const sessionBudget = createRateLimiter({ perMin: envNum("SESSION_REQUESTS_PER_MIN", 20) });
+const globalBudget = createRateLimiter({ perMin: envNum("GLOBAL_REQUESTS_PER_MIN", 600) });
+// Join codes are short: guessing them is throttled per remote address
+const joinAttempts = createRateLimiter({ perMin: envNum("JOIN_ATTEMPTS_PER_MIN", 10) });
+const breaker = createBreaker({ failures: envNum("BREAKER_FAILURES", 5), cooldownMs: envNum("BREAKER_COOLDOWN_MS", 30_000) });
+setInterval(() => { sessionBudget.sweep(); globalBudget.sweep(); joinAttempts.sweep(); }, 60_000).unref();
+
+// Outcome of one model call for the shared breaker: only overload-type errors count
+const noteModelOutcome = (err, signal) => {
+  if (!err) breaker.success();
+  else if (!signal?.aborted && isRetryable(err)) breaker.failure();
+  else breaker.release();
+};
+
+// Model-bound requests (chat turns, explicit SPEC/MATSPEC) draw from the session's and
+// the global budget; reactions to app events (ui: CART/CONTROL tags) have a session bucket
+// of their own, so UI traffic can't use up what the customer may type. An open breaker
+// turns them away at once. Sends the error and returns false when refused.
+const admit = (ws, ctx, { ui = false } = {}) => {
+  const wait = breaker.retryAfterMs();
+  if (wait) {
+    rejectedTotal.inc({ reason: "breaker" });
+    emit(ws, "error", { code: ERR.SERVICE_UNAVAILABLE, message: "The model is overloaded; try again shortly", retry_after_ms: wait }, ctx);
+    return false;
+  }
+  const id = sessionOf.get(ws).id;
+  for (const [scope, budget, key] of [["session", sessionBudget, ui ? `${id}:ui` : id], ["global", globalBudget, "global"]]) {
+    const r = budget.take(key);
+    if (r.ok) continue;
+    rejectedTotal.inc({ reason: `rate_limited_${scope}` });
+    emit(ws, "error", { code: ERR.RATE_LIMITED, message: `Too many requests (${scope}); try again shortly`, retry_after_ms: r.retryAfterMs }, ctx);
+    return false;
+  }
+  return true;
+};
+
+// -------- HTTP next to the WebSocket server (same port) --------
+// /healthz: the process is up; /readyz: accepting sockets (503 while draining);
+// /metrics: Prometheus text, behind METRICS_TOKEN (Bearer) when that is set
+const METRICS_TOKEN = process.env.METRICS_TOKEN || "";
+let draining = false;
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url || "/", "http://localhost");
+  if (req.method !== "GET") return sendJson(res, 405, { error: "GET only" });
+  if (pathname === "/healthz") return sendJson(res, 200, { status: "ok", uptime_s: Math.round(process.uptime()) });
+  if (pathname === "/readyz") {
+    const ready = !draining && server.listening;
+    return sendJson(res, ready ? 200 : 503, { status: ready ? "ready" : "draining", provider: provider.name, catalog_items: catalog.length, tenants: config.tenants() });
+  }
+  if (pathname === "/metrics") {
+    if (METRICS_TOKEN && req.headers.authorization !== `Bearer ${METRICS_TOKEN}`) return sendJson(res, 401, { error: "unauthorized" });
+    res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4" });
+    return res.end(renderMetrics());
+  }
+  sendJson(res, 404, { error: "not found" });
+});
+// Upgrades are checked here: auth/origin (auth.js), and while draining (/readyz says 503)
+// new sockets are refused. Frames above the image limit close the socket (1009); frames
+// over MAX_MESSAGE_BYTES that aren't IMAGE are refused before they are parsed (isImageFrame).
+const verifyClient = (info, cb) => {
+  if (draining) return cb(false, 503, "Server is restarting");
+  const a = auth.check(info.req);
+  if (!a.ok) {
+    rejectedTotal.inc({ reason: a.status === 403 ? "origin" : "auth" });
+    log.warn("upgrade refused", { status: a.status, reason: a.reason, origin: info.req.headers.origin, ip: info.req.socket.remoteAddress });
+    return cb(false, a.status, a.reason);
+  }
+  info.req.subject = a.subject;
+  cb(true);
+};
+// v1 "IMAGE|..." or v2 {"type":"image",...}; the type is looked for at either end of the
+// frame (before or after the base64 data) without parsing it. An escaped \"type\" inside
+// a string doesn't count.
+const IMAGE_TYPE_RE = /(?<!\\)"type"\s*:\s*"image"/;
+const isImageFrame = (data) => data.subarray(0, 6).toString() === "IMAGE|" ||
+  IMAGE_TYPE_RE.test(data.subarray(0, 512).toString()) || IMAGE_TYPE_RE.test(data.subarray(-512).toString());
+const refuseTooLarge = (ws, request_id) => {
+  rejectedTotal.inc({ reason: "too_large" });
+  emit(ws, "error", { code: ERR.TOO_LARGE, message: `Messages are limited to ${MAX_MESSAGE_BYTES} bytes` }, { request_id });
+};
+const maxPayload = Math.max(MAX_MESSAGE_BYTES || Infinity, Math.ceil((IMAGE_MAX_BYTES * 4) / 3) + 1024);
+const wss = new WebSocketServer({ server, verifyClient, maxPayload: Number.isFinite(maxPayload) ? maxPayload : 0 });
+server.listen(PORT, () => log.info("listening", { port: server.address().port, server: SERVER_NAME, provider: provider.name }));
+
+gauge("roomie_ws_connections", "Open WebSocket connections", () => wss.clients.size);
+gauge("roomie_sessions", "Sessions in the store (connected or resumable)", () => sessions.byToken.size);
+gauge("roomie_turns_running", "Chat turns running right now", () => turns.running());
+gauge("roomie_breaker_open", "1 while the model circuit breaker refuses calls", () => (breaker.retryAfterMs() ? 1 : 0));
+
+// Server-verified facts for the model (layout check, ...), one line each
+const contextNotes = (session) => {
+  const notes = [];
+  notes.push(`Reply language: ${LANGUAGES[session.lang || session.locale] || LANGUAGES.en}`);
+  if (session.layout?.summary) notes.push(`Layout check: ${session.layout.summary}`);
+  if (session.room) notes.push(`Room screenshot: ${roomSummary(session.room)}`);
+  const profile = profileSummary(session.prefs, (n) => formatMoney(n, fx.base));
+  if (profile) notes.push(`Customer profile: ${profile}`);
+  if (session.prefs.summary) notes.push(`Earlier conversation: ${session.prefs.summary}`);
+  if (session.cart) {
+    const summary = cartSummary(session.cart, cartBudget(session));
+    if (summary !== "empty") notes.push(`Cart: ${summary}`);
+  }
+  return notes;
+};
+
+// Language of this turn (script-based); tag-only/numeric turns keep the last one
+const noteLanguage = (session, userText) => {
+  const lang = detectLanguage(stripLeadingTag(userText));
+  if (lang) session.lang = lang;
+};
+
+// Build contents for Gemini from session history + context notes + new user text
+const buildContents = (session, userText) => {
+  noteLanguage(session, userText);
   const contents = [];
-  contents.push({ role: "user", parts: [{ text: `System: ${SYSTEM_PROMPT}` }] });
-  for (const m of hist) contents.push(m);
+  contents.push({ role: "user", parts: [{ text: `System: ${configOf(session).prompt}` }] });
+  const notes = contextNotes(session);
+  if (notes.length) contents.push({ role: "user", parts: [{ text: `Context:\n- ${notes.join("\n- ")}` }] });
+  for (const m of session.history) contents.push(m);
   contents.push({ role: "user", parts: [{ text: userText }] });
   return contents;
 };
 
-// Clamp history to last ~4 turns (trim tokens)
+// Clamp history to last ~4 turns (trim tokens); returns what was dropped
 const clampHistory = (hist, maxPairs = 4) => {
   const maxMsgs = maxPairs * 2;
-  while (hist.length > maxMsgs) hist.shift();
-};
-
-// --- Heuristics for SPEC backups (manual, predictable) ---
-const CATEGORY_MAP = {
-  sofa: ["couch", "settee", "sectional", "loveseat"],
-  rug: ["carpet"],
-  armchair: ["accent chair", "reading chair"],
-  "coffee-table": ["coffee table", "center table"],
-  "dining-table": ["dining table"],
-  wardrobe: ["closet"],
-  lamp: ["floor lamp", "table lamp", "light"],
-  bed: ["queen bed", "king bed", "double bed"],
-  shelving: ["shelf", "bookcase"],
-  nightstand: ["bedside table"],
-  sideboard: ["buffet"],
-  "tv-stand": ["media console", "tv unit"],
-  chair: ["dining chair", "desk chair", "office chair"],
-  desk: ["work desk", "office desk"],
-};
-const INTENT_WORDS = [
-  "suggest","recommend","pick","choose","find","show me","find me","replace",
-  "any sofa","any rug","show a","show me a","show me some",
-  "which would you recommend","i need a","i need an",
-];
-const inferCategory = (txt) => {
-  for (const cat of Object.keys(CATEGORY_MAP)) {
-    if (txt.includes(cat)) return cat;
-    for (const syn of CATEGORY_MAP[cat]) if (txt.includes(syn)) return cat;
+  const dropped = [];
+  while (hist.length > maxMsgs) dropped.push(hist.shift());
+  return dropped;
+};
+
+// --- Focus state per session ---
+const hasFocus = (ws) => !!sessionOf.get(ws)?.focus.active;
+
+// --- Transcript (TRANSCRIPT_FILE, transcript.js): inputs and outputs for replay.js ---
+const transcript = createTranscript();
+const record = (ws, kind, fields, ctx = {}) => {
+  if (!transcript.enabled) return;
+  const session = sessionOf.get(ws);
+  transcript.record(
+    { session: session.id, tenant: session.tenant || undefined, turn_id: ctx.turn_id, participant: ctx.participant, kind, ...fields },
+    Object.values(session.participants || {}).map((p) => p.name),
+  );
+};
+// The profile fields the SPEC rules read (profile.js specDefaults)
+const specPrefs = ({ category, style, budget_min, budget_max, room_w, room_len, rejected }) =>
+  ({ category, style, budget_min, budget_max, room_w, room_len, rejected });
+// A v2 frame's fields besides the envelope the message entry already has (undefined for v1)
+const frameData = ({ data }) => {
+  if (!data) return undefined;
+  const { type, text, request_id, v, ...rest } = data;
+  return Object.keys(rest).length ? rest : undefined;
+};
+
+// One SPEC event per item; set_id ties the items of one request together. The set also
+// updates the preference profile (profile.js). res: { specs, noMatch, llm } (llm: the JSON
+// the rules ran on); source: explicit | auto | tool (metrics); user: the request text
+const emitSpecs = (ws, res, ctx, source, user) => {
+  dispatchTotal.inc({ kind: "spec", source });
+  const session = sessionOf.get(ws);
+  record(ws, "spec", { source, user, llm: res.llm, prefs: specPrefs(session.prefs), out: { specs: res.specs, noMatch: res.noMatch } }, ctx);
+  for (const spec of res.specs) broadcast(ws, "spec", { ...spec, set_id: ctx.turn_id }, ctx);
+  noteSpecs(session.prefs, res.specs);
+  sessions.save(session);
+};
+// res: { matspec, unsupported, llm }
+const emitMatSpec = (ws, res, ctx, source, user) => {
+  dispatchTotal.inc({ kind: "matspec", source });
+  const session = sessionOf.get(ws);
+  const { matspec } = res;
+  const focus = { item_id: session.focus.item_id, material_slots: session.focus.material_slots };
+  record(ws, "matspec", { source, user, llm: res.llm, focus, out: { matspec, unsupported: res.unsupported } }, ctx);
+  // Colors from the room screenshot that the change doesn't already use
+  const used = matspec.changes.map((c) => c.color);
+  const suggested_colors = (session.room?.palette || []).filter((c) => !used.includes(c));
+  broadcast(ws, "matspec", { ...matspec, suggested_colors }, ctx);
+  noteMatSpec(session.prefs, matspec);
+  sessions.save(session);
+};
+
+// Profile facts from the customer's own chat text: budget (only with a money word or
+// currency, so "under 200 cm" isn't one), room size, styles, likes and dislikes
+const MONEY_WORDS = /budget|price|cost|spend|afford|бюджет|цен|стоим|ბიუჯეტ|ფას|ღირ/i;
+const notePrefs = (session, text) => {
+  const p = session.prefs;
+  const plain = stripLeadingTag(text);
+  const budget = MONEY_WORDS.test(plain) || detectCurrency(plain) ? extractBudget(plain) : null;
+  if (budget) {
+    const cur = fx.supports(detectCurrency(plain)) ? detectCurrency(plain) : fx.base;
+    p.budget_min = fx.toBase(budget.min, cur) || 0;
+    p.budget_max = fx.toBase(budget.max, cur) || 0;
+  }
+  const dims = extractDimensions(plain);
+  if (dims?.room_w && dims?.room_len) { p.room_w = dims.room_w; p.room_len = dims.room_len; }
+  const { lex } = configOf(session);
+  noteText(p, plain, { material: (c) => findCanon(c, lex.slots), color: (c) => findCanon(c, lex.colors) });
+  sessions.save(session);
+};
+
+// --- UI control events (controls.js): validated state changes, server-written tags ---
+// v1 builds without CONTROL (the shipped Unreal client) put the app's tags in USER text:
+// a leading control tag is applied, and tags in the rest of the text are neutralized like
+// any typed ones. Once a socket speaks v2 or sends CONTROL, a leading tag is typed text too.
+// LEGACY_USER_TAGS=0 treats every socket that way.
+const LEGACY_USER_TAGS = process.env.LEGACY_USER_TAGS !== "0";
+const controlSockets = new WeakSet(); // sockets that have sent CONTROL
+const legacyTags = (ws) => LEGACY_USER_TAGS && protocolVersion(ws) < 2 && !controlSockets.has(ws);
+
+// Apply a validated control; returns the tag Roomie should react to ("" = silent)
+const applyControl = (session, { event, fields: f }) => {
+  const placed = (session.placed ??= {});
+  if (event === "item_focus") session.focus = { active: true, ...f };
+  else if (event === "focus_clear") session.focus = { active: false };
+  else if (event === "placed") {
+    placed[f.item_id] = f.transform || placed[f.item_id] || null;
+    session.focus = { active: false };
+  } else if (event === "replaced") {
+    placed[f.new_item_id] = f.transform || placed[f.item_id] || null;
+    delete placed[f.item_id];
+    noteRejected(session.prefs, { item_id: f.item_id, name: session.focus.item_id === f.item_id ? session.focus.name : f.name });
+    session.focus = { active: false };
+  }
+  sessions.save(session);
+  return controlTag(event, f);
+};
+
+// Focus changes made on one device show up on the others
+const FOCUS_EVENTS = ["item_focus", "focus_clear", "placed", "replaced"];
+const shareFocus = (ws, event, ctx) => {
+  if (FOCUS_EVENTS.includes(event)) broadcast(ws, "focus", { event, ...sessionOf.get(ws).focus }, ctx, { others: true });
+};
+
+// --- Cart: sessions restored from older files may not have one yet ---
+const cartOf = (session) => (session.cart ??= newCart());
+// Budget to track the cart against: the last SPEC budget (already in the base currency)
+const cartBudget = (session) => ({ budget: session.prefs.budget_max || 0, currency: fx.base });
+
+// Server-made tags so Roomie reacts to what actually happened (confirm/cancel stay silent)
+const cartTag = (action, a, cart) => {
+  if (action === "checkout") return "[CHECKOUT_STARTED]";
+  if (action === "order") return `[ORDER_CREATED id=${cart.order_id}]`;
+  if (action === "clear") return "[CART_UPDATED cleared]";
+  if (["add", "remove", "set_qty"].includes(action)) {
+    const line = cart.lines.find((l) => l.item_id === String(a.item_id).trim());
+    return `[CART_UPDATED ${action} item=${a.item_id}${line ? ` qty=${line.qty}` : ""}]`;
   }
   return "";
 };
-const inferIntent = (txt) => INTENT_WORDS.some((w) => txt.includes(w));
-
-// Treat these as info/comparison/logistics → do NOT auto-suggest
-const brandInfoLike = (t) =>
-  /\b(tell me about|what sets|what makes|how.*different|compare|comparison|pros|cons|policy|return|warranty|delivery|shipping|lead\s*time|availability)\b/i.test(t);
-
-// Size-ish hints (loosely)
-const hasSizeHints = (t) =>
-  /\b(width|length|depth|height|cm|mm|\d{2,3}\s*x\s*\d{2,3})\b/i.test(t);
-
-// --- Intent helpers (server-side) ---
-const MATERIAL_WORDS = [
-  "material","fabric","leather","linen","velvet","wool","cotton","wood","oak","walnut","ash","veneer",
-  "metal","brass","chrome","steel","iron","aluminum","glass","marble","stone","rattan","wicker",
-  "finish","matte","satin","gloss","brushed","oiled","stain","lacquer","color","colour",
-  "black","white","gray","grey","beige","cream","sand","tan","charcoal","navy","green","brown",
-];
-const REPLACE_STRONG = ["replace","swap","alternative","another","something else","different model","other option"];
-const REPLACE_SOFT = ["cheaper","less expensive","budget","pricier","premium","smaller","bigger","narrower","wider","shorter","taller","compact"];
-const containsAny = (hay, arr) => arr.some((w) => hay.includes(w));
-const isMaterialIntent = (lc) => containsAny(lc, MATERIAL_WORDS);
-const isReplaceIntent  = (lc) => containsAny(lc, REPLACE_STRONG) ||
-                               ((lc.includes(" this") || lc.includes(" it ")) && containsAny(lc, REPLACE_SOFT));
-
-// --- Focus state per socket ---
-const focusState = new WeakMap(); // ws -> { active: boolean }
-const setFocus = (ws, on) => {
-  const st = focusState.get(ws) || { active: false };
-  st.active = !!on;
-  focusState.set(ws, st);
-};
-const hasFocus = (ws) => !!focusState.get(ws)?.active;
-
-// --- Helpers: numeric normalization ---
-function toNumberLoose(x) {
-  if (typeof x === "number") return x;
-  if (typeof x !== "string") return 0;
-  let s = x.trim().toLowerCase();
-  s = s.replace(/gel|usd|eur|gbp|try|aud|cad|inr|jpy|cny|rmb|yuan|yen|tl|lira|dollars?|bucks?|quid|₾|\$|€|£|¥|₹|₺|₽|₩/g, "");
-  s = s.replace(/,/g, "").replace(/\s+/g, "");
-  if (s.endsWith("k")) s = String(parseFloat(s) * 1000);
-  const v = parseFloat(s);
-  return Number.isFinite(v) ? v : 0;
+
+// ----------------- JSON generation (SPEC/MATSPEC) -----------------
+// Walks the spec models of cfg (the session's config): primary with retries, then each
+// fallback once. {} on failure; only throws when the signal was aborted.
+// image: { mimeType, data } goes along as an inline part and walks the vision models instead.
+async function generateJson(cfg, where, user, schemaHint, signal, image = null) {
+  const chain = image ? cfg.models.vision : cfg.models.spec;
+  const contents = [
+    { role: "user", parts: [{ text: `System: ${cfg.prompt}` }] },
+    { role: "user", parts: [{ text: `${user}\n\n${schemaHint}` }, ...(image ? [{ inlineData: { mimeType: image.mimeType, data: image.data } }] : [])] },
+  ];
+  for (let i = 0; i < chain.length; i++) {
+    const tries = i === 0 ? cfg.maxRetries : 1;
+    if (i > 0) modelFallbacks.inc({ call: where, model: chain[i] });
+    for (let attempt=0; attempt<tries; attempt++) {
+      if (!breaker.allow()) return {}; // overloaded: heuristics only, no waiting
+      const t0 = performance.now();
+      try {
+        const txt = await provider.generateJson({ model: chain[i], contents, signal });
+        timeModel(where, chain[i], t0, "ok");
+        noteModelOutcome(null);
+        const spec = JSON.parse(txt && txt.trim() ? txt : "{}");
+        return (typeof spec === "object" && spec !== null) ? spec : {};
+      } catch (err) {
+        noteModelOutcome(err, signal);
+        if (signal?.aborted) throw err;
+        timeModel(where, chain[i], t0, "error");
+        if (attempt < tries-1 && isRetryable(err)) {
+          modelRetries.inc({ call: where, model: chain[i] });
+          await sleep(jitter(cfg.baseDelayMs * Math.pow(2, attempt)));
+          continue;
+        }
+        logErr(i === 0 ? where : `${where}-fallback`, err);
+        break;
+      }
+    }
+  }
+  return {};
 }
-function extractBudget(text) {
-  const raw = String(text || "").toLowerCase().replace(/[—–]/g, "-");
-  let t = raw.replace(/gel|usd|eur|gbp|try|aud|cad|inr|jpy|cny|rmb|yuan|yen|tl|lira|dollars?|bucks?|quid|₾|\$|€|£|¥|₹|₺|₽|₩/g, "")
-             .replace(/,/g, "").replace(/\s+/g, " ").trim();
-  t = t.replace(/(\d)\s+(?=\d)/g, "$1");
-  const num = "([0-9]*\\.?[0-9]+k?)", money="(?:budget|price|cost|amount|spend|limit|cap)", optIs="(?:is|=|:)\\s*";
-  const toN=(s)=>{let v=s; if(v.endsWith("k")) v=String(parseFloat(v)*1000); const f=parseFloat(v); return Number.isFinite(f)?f:0;};
-  let m;
-  m = t.match(new RegExp(`(?:between|from)\\s+${num}\\s*(?:to|and|-)\\s*${num}`,"i")); if (m) return {min:toN(m[1]),max:toN(m[2])};
-  m = t.match(new RegExp(`${num}\\s*[-–]\\s*${num}`));                            if (m) return {min:toN(m[1]),max:toN(m[2])};
-  m = t.match(new RegExp(`(?:min(?:imum)?|at\\s*least|>=|more\\s*than|no\\s*less\\s*than)\\s*(?:${money}\\s*)?(?:${optIs})?(?:of\\s*)?${num}`,"i"));
-  if (m) return {min:toN(m[1]),max:0};
-  m = t.match(new RegExp(`(?:max(?:imum)?|under|below|up\\s*to|upto|<=|less\\s*than|no\\s*more\\s*than|at\\s*most|cap(?:ped)?(?:\\s*at)?)\\s*(?:${money}\\s*)?(?:${optIs})?(?:of\\s*)?${num}`,"i"));
-  if (m) return {min:0,max:toN(m[1])};
-  m = t.match(new RegExp(`${num}\\s*(?:min(?:imum)?|at\\s*least|or\\s*more|\\+|and\\s*up)`,"i"));
-  if (m) return {min:toN(m[1]),max:0};
-  m = t.match(new RegExp(`${num}\\s*(?:max(?:imum)?|or\\s*less|up\\s*to|at\\s*most|cap(?:ped)?(?:\\s*at)?)`,"i"));
-  if (m) return {min:0,max:toN(m[1])};
-  m = t.match(new RegExp(`(?:${money})\\s*(?:${optIs})?(?:of\\s*)?${num}`,"i"));  if (m) return {min:0,max:toN(m[1])};
-  m = t.match(new RegExp(`(?:around|about|~)\\s*${num}`,"i"));                   if (m) return {min:0,max:toN(m[1])};
-  return null;
+
+// ----------------- SPEC builder -----------------
+// Returns { specs, noMatch } — one spec per requested item, keys in v1 flat order; noMatch
+// is a [CATALOG_NO_MATCH ...] tag when the catalog has nothing that fits a suggest=1 spec.
+async function makeSpec(cfg, user, signal, prefs = {}) {
+  const llm = await generateJson(cfg, "spec", user, cfg.specHint, signal);
+  return { ...specFromJson(llm, user, prefs, cfg.lex), llm };
 }
 
-// sanitize for flat payload (avoid breaking on ';' or '|')
-const sanitizeField = (s) => String(s ?? "").replace(/[;|]/g, "/");
+// ----------------- MATSPEC builder -----------------
+// Returns { matspec, unsupported } — matspec.changes holds one { part, material, color,
+// finish } per targeted part; slot/color/finish mirror the first one for older clients.
+// unsupported is a [MATERIAL_UNSUPPORTED ...] tag when some change doesn't fit the item.
+async function makeMatSpec(cfg, user, signal, focus = {}) {
+  const slots = Array.isArray(focus.material_slots) ? focus.material_slots : [];
+  const parts = slots.length ? slots.join("|") : `${cfg.lex.parts.slice(0, 6).map(([c]) => c).join("|")}|...`;
+  const llm = await generateJson(cfg, "matspec", user, cfg.matspecHint.replaceAll("{{parts}}", parts), signal);
+  return { ...matSpecFromJson(llm, user, focus, cfg.lex), llm };
+}
 
-// ----------------- SPEC builder -----------------
-async function makeSpecFlat(user) {
-  const lower = user.toLowerCase();
-  const schemaHint = `
-Return ONLY minified JSON:
-{
-  "suggest": true|false,
-  "category": "sofa|rug|table|chair|storage|lamp|bed|desk|shelving|nightstand|armchair|stool|bench|dresser|wardrobe|sideboard|tv-stand|coffee-table|dining-table",
-  "style_tags": ["scandi","modern","industrial","boho","traditional","minimal","mid-century","japandi"],
-  "budget_min": 0, "budget_max": 0,
-  "max_width_cm": 0, "max_depth_cm": 0, "max_height_cm": 0
+// ----------------- Room screenshot read-out (image.js) -----------------
+// Model strings → short, bracket-free text; styles/colors/materials → the canonical names
+const strings = (v, max) => (Array.isArray(v) ? v : [])
+  .filter((s) => typeof s === "string")
+  .map((s) => s.replace(/[[\]"]/g, "").trim().slice(0, 60))
+  .filter(Boolean)
+  .slice(0, max);
+const canonOf = (v, find, max) => [...new Set(strings(v, 10).flatMap((s) => find(s.toLowerCase())).filter(Boolean))].slice(0, max);
+
+function roomFromJson(j, lex) {
+  return {
+    styles: canonOf(j.styles, findStyles, 3),
+    palette: canonOf(j.palette, (s) => findCanon(s, lex.colors), 5),
+    materials: canonOf(j.materials, (s) => findCanon(s, lex.slots), 5),
+    items: strings(j.items, 8),
+    summary: typeof j.summary === "string" ? j.summary.replace(/[[\]]/g, "").trim().slice(0, 200) : "",
+  };
 }
-Rules:
-- Plain numbers only. "suggest": true only when the user explicitly asks to see/recommend/pick OR they give constraints (budget/size) with a category.
-- Never suggest for brand/policy/comparison-only questions.
-- JSON only.`.trim();
+const roomSummary = (r) => [
+  r.styles.length && `styles ${r.styles.join(", ")}`,
+  r.palette.length && `palette ${r.palette.join(", ")}`,
+  r.materials.length && `materials ${r.materials.join(", ")}`,
+  r.items.length && `shows ${r.items.join("; ")}`,
+].filter(Boolean).join("; ");
 
-  let spec = {};
-  for (let attempt=0; attempt<MAX_RETRIES; attempt++) {
-    try {
-      const res = await ai.models.generateContent({
-        model: SPEC_MODEL,
-        contents: [
-          { role: "user", parts: [{ text: `System: ${SYSTEM_PROMPT}` }] },
-          { role: "user", parts: [{ text: `${user}\n\n${schemaHint}` }] },
-        ],
-        config: { responseMimeType: "application/json" },
-      });
-      const txt = (res.text && res.text.trim()) ? res.text : "{}";
-      spec = JSON.parse(txt);
-      break;
-    } catch (err) {
-      if (attempt < MAX_RETRIES-1 && isRetryable(err)) {
-        await sleep(jitter(BASE_DELAY_MS * Math.pow(2, attempt)));
-        continue;
-      }
-      logErr("spec", err);
-      break;
+// Read the screenshot, remember it (context, SPEC styles, MATSPEC colors), then reply
+// from the read-out — the chat model itself never gets the image
+async function runImageTurn(ws, image, question, ctx, signal) {
+  const cfg = configOf(sessionOf.get(ws));
+  const json = await generateJson(cfg, "image", question || "What is in this room?", cfg.roomHint, signal, image);
+  if (signal.aborted) return "";
+  const room = roomFromJson(json, cfg.lex);
+  if (!roomSummary(room)) {
+    broadcast(ws, "error", { code: ERR.SERVICE_UNAVAILABLE, message: "The image could not be read" }, ctx);
+    return "failed";
+  }
+  const session = sessionOf.get(ws);
+  session.room = { ...room, at: Date.now() };
+  noteRoom(session.prefs, room);
+  sessions.save(session);
+  broadcast(ws, "room_style", room, ctx);
+
+  const tag = `[ROOM_IMAGE ${roomSummary(room).replace(/[[\]]/g, "")}]`;
+  return runChatTurn(ws, [tag, neutralizeTags(question)].filter(Boolean).join(" "), ctx, signal);
+}
+
+// ----------------- Reply guardrail (guardrail.js) -----------------
+// GUARDRAIL=stream: chunks go out live and a repaired reply arrives as a corrective FINAL
+// (corrected: true in v2); buffer: nothing is sent until the checked reply is ready; off.
+const GUARDRAIL = (process.env.GUARDRAIL || "stream").toLowerCase();
+const REPLY_MAX_CHARS = Number(process.env.REPLY_MAX_CHARS) || 900;
+
+// What a reply may state about items: catalog data, plus cart lines and the focused item
+const replyFacts = (session, user) => {
+  const items = [...catalog];
+  const known = (name) => items.some((it) => it.name === name);
+  for (const l of session.cart?.lines || []) if (!known(l.name)) items.push({ name: l.name, price: l.price });
+  const f = session.focus;
+  if (f?.active && f.name && !known(f.name)) items.push({ name: f.name, price: f.price || 0 });
+  // [PREVIEW_SHOWN ...] replies only acknowledge the item, without a follow-up question
+  const maxQuestions = /^\s*\[preview_shown\b/i.test(user) ? 0 : 1;
+  return { items, maxQuestions, maxChars: REPLY_MAX_CHARS, fx };
+};
+
+const logViolations = (ctx, found, label = "") => {
+  for (const v of found) {
+    guardrailTotal.inc({ rule: v.rule });
+    log.warn(`guardrail${label}`, { session: ctx.session, turn_id: ctx.turn_id, rule: v.rule, detail: v.detail, fix: v.fix });
+  }
+};
+
+// One non-streamed retry with the broken rules spelled out; "" when it fails. contents is
+// the whole turn, tool rounds included, so the rewrite keeps the results it was built on;
+// tools are declared again (providers reject function parts without them) but not called.
+async function regenerate(cfg, contents, draft, found, signal, tools) {
+  const rules = found.map((v) => `${v.rule} (${v.detail})`).join("; ");
+  const again = [
+    ...contents,
+    ...(draft ? [{ role: "model", parts: [{ text: draft }] }] : []),
+    { role: "user", parts: [{ text: `System: Rewrite your last reply for the customer in the same language. It broke these rules: ${rules}. Ask at most one question, promise no availability and state only catalog prices and sizes.` }] },
+  ];
+  let text = "";
+  if (!breaker.allow()) return "";
+  try {
+    for await (const piece of provider.streamChat({ model: cfg.models.chat[0], contents: again, signal, tools })) {
+      if (!piece?.call) text += piece;
+    }
+    noteModelOutcome(null);
+  } catch (err) {
+    noteModelOutcome(err, signal);
+    if (!signal?.aborted) logErr("guardrail-regenerate", err);
+    return "";
+  }
+  return text;
+}
+
+// Check the finished reply; regenerate once when rewording can't fix it, then repair.
+// turn: { contents, last (the final round's text), tools (offered in the turn) }
+async function guardReply(session, user, draft, turn, ctx, signal) {
+  const facts = replyFacts(session, user);
+  let text = draft;
+  let found = checkReply(text, facts);
+  logViolations(ctx, found);
+  if (found.some((v) => v.fix === "regenerate")) {
+    const again = await regenerate(configOf(session), turn.contents, turn.last, found, signal, turn.tools);
+    if (again) {
+      text = again;
+      found = checkReply(text, facts);
+      logViolations(ctx, found, " regenerated");
     }
   }
+  if (found.some((v) => v.fix !== "log")) text = repairReply(text, facts);
+  return text;
+}
+
+// ----------------- Summary of turns that left the history window -----------------
+// Runs in the background every few dropped messages; the model rewrites the summary,
+// or (no model answer) the customer's own words are kept, newest last.
+const SUMMARY_EVERY = 4;         // dropped messages (two exchanges)
+const SUMMARY_MAX_CHARS = 600;
+const summarizing = new WeakSet(); // sessions with a summary in flight
+
+function foldHistory(session, dropped) {
+  const p = session.prefs;
+  (p.unsummarized ||= []).push(...dropped.map((m) =>
+    `${m.role === "user" ? "Customer" : "Roomie"}: ${(m.parts || []).map((x) => x.text || "").join("")}`));
+  if (summarizing.has(session) || p.unsummarized.length < SUMMARY_EVERY) return;
+  const lines = p.unsummarized.splice(0);
+  summarizing.add(session);
+  summarize(configOf(session), p.summary, lines)
+    .then((text) => { p.summary = text; sessions.save(session); })
+    .catch((err) => logErr("summary", err))
+    .finally(() => summarizing.delete(session));
+}
+
+async function summarize(cfg, previous, lines) {
+  const schemaHint = `Return ONLY minified JSON: {"summary": "..."}
+Rules:
+- Merge the previous summary and the older turns into at most 60 words, in English.
+- Keep facts about the customer's room, budget, tastes, items discussed and decisions; drop small talk.`;
+  const json = await generateJson(cfg, "summary", `Previous summary: ${previous || "(none)"}\n\nOlder turns:\n${lines.join("\n")}`, schemaHint);
+  if (typeof json.summary === "string" && json.summary.trim()) return json.summary.trim().slice(0, SUMMARY_MAX_CHARS);
+  const said = lines.filter((l) => l.startsWith("Customer: ")).map((l) => l.slice("Customer: ".length).trim());
+  return [previous, ...said].filter(Boolean).join(" / ").slice(-SUMMARY_MAX_CHARS);
+}
+
+// ----------------- Tool calls (tools.js) -----------------
+// TOOLS=auto: the chat model routes catalog/material/cart/layout actions itself when the
+// provider supports tools; off (or no tool support): keyword routing plus a separate
+// SPEC/MATSPEC call after the reply. Tool calls emit the same events the explicit messages do.
+const TOOLS_MODE = (process.env.TOOLS || "auto").toLowerCase();
+const MAX_TOOL_ROUNDS = 3; // model ↔ tool round trips per turn; the last round must answer
 
-  if (typeof spec !== "object" || spec === null) spec = {};
-  if (typeof spec.suggest !== "boolean") spec.suggest = false;
-  if (typeof spec.category !== "string") spec.category = "";
+// Category enums follow the session's vocabulary
+const toolsFor = (session) => makeTools(configOf(session).lex.allCategories)
+  .filter((t) => session.focus.active || !FOCUS_TOOLS.includes(t.name));
 
-  const catGuess = inferCategory(lower);
-  const intentGuess = inferIntent(lower);
-  const budgetGuess = !!extractBudget(user);
-  const sizeGuess = hasSizeHints(user);
-  const brandInfo = brandInfoLike(user);
+// Catalog facts the model may quote (the guardrail checks prices/sizes against the same data)
+const itemFacts = (id) => {
+  const it = catalog.find((c) => c.id === id);
+  if (!it) return null;
+  return { item_id: it.id, name: it.name, price: it.price, currency: fx.base, width_cm: it.width_cm, depth_cm: it.depth_cm, height_cm: it.height_cm };
+};
+const searchResult = ({ specs, noMatch }) => ({
+  results: specs.map((s) => ({ category: s.category, choice: itemFacts(s.choice_id), alternates: s.alt_ids.map(itemFacts).filter(Boolean) })),
+  no_match: !!noMatch,
+});
+const noFocus = { error: "No item is focused; ask which item they mean" };
 
-  if (!spec.category && catGuess) spec.category = catGuess;
+// name → (args, { ws, session, user, ctx }) → JSON result for the model
+const TOOL_HANDLERS = {
+  search_catalog(args, { ws, session, user, ctx }) {
+    const llm = { ...args, suggest: true };
+    const res = { ...specFromJson(llm, user, session.prefs, configOf(session).lex), llm };
+    emitSpecs(ws, res, ctx, "tool", user);
+    return searchResult(res);
+  },
+  replace_model(args, { ws, session, user, ctx }) {
+    if (!session.focus.active) return noFocus;
+    // Don't suggest the focused item (or anything turned down before) again
+    noteRejected(session.prefs, session.focus);
+    const llm = { ...args, category: args.category || session.focus.category || "", suggest: true };
+    const res = { ...specFromJson(llm, user, session.prefs, configOf(session).lex), llm };
+    emitSpecs(ws, res, ctx, "tool", user);
+    return searchResult(res);
+  },
+  apply_material(args, { ws, session, user, ctx }) {
+    if (!session.focus.active) return noFocus;
+    const llm = { ...args, apply: true };
+    const res = { ...matSpecFromJson(llm, user, session.focus, configOf(session).lex), llm };
+    emitMatSpec(ws, res, ctx, "tool", user);
+    return { applied: res.matspec.changes, rejected: res.matspec.rejected };
+  },
+  update_cart(args, { ws, session, ctx }) {
+    const action = String(args.action || "").toLowerCase();
+    if (!MODEL_CART_ACTIONS.includes(action)) return { error: `Only ${MODEL_CART_ACTIONS.join(", ")}; checkout happens in the app` };
+    const cart = cartOf(session);
+    const res = applyCartAction(cart, { ...args, action }, { catalog });
+    if (res.error) return { error: res.error };
+    sessions.save(session);
+    const view = cartView(cart, cartBudget(session));
+    broadcast(ws, "cart", view, ctx);
+    return { cart: view };
+  },
+  check_layout(args, { ws, session, ctx }) {
+    if (session.layout?.summary) return { summary: session.layout.summary };
+    broadcast(ws, "layout_request", {}, ctx);
+    return { pending: true, note: "Asked the app for the room layout; no check is available yet" };
+  },
+};
 
-  const hasConstraint = budgetGuess || sizeGuess;
-  const hasCategory = !!(spec.category || catGuess);
-  if (brandInfo) spec.suggest = false;
-  else if (!spec.suggest && (intentGuess || (hasConstraint && hasCategory))) spec.suggest = true;
+// Run the calls of one round; returns the functionResponse parts for the next request
+const runTools = (ws, calls, ctx, user) => {
+  const session = sessionOf.get(ws);
+  return calls.map(({ id, name, args }) => {
+    const handler = TOOL_HANDLERS[name];
+    let response;
+    try {
+      response = handler
+        ? handler(args && typeof args === "object" ? args : {}, { ws, session, user, ctx })
+        : { error: `Unknown tool "${name}"` };
+    } catch (err) {
+      logErr(`tool-${name}`, err, ctx);
+      response = { error: "The tool failed" };
+    }
+    toolCalls.inc({ tool: handler ? name : "unknown", outcome: response.error ? "error" : "ok" });
+    record(ws, "tool", { name, args }, ctx);
+    return { functionResponse: { id, name, response } };
+  });
+};
 
-  let styleArr = Array.isArray(spec.style_tags) ? spec.style_tags : (spec.style_tags ? [spec.style_tags] : []);
-  let budget_min = 0, budget_max = 0;
-  if (spec.budget_min != null) budget_min = toNumberLoose(spec.budget_min);
-  if (spec.budget_max != null) budget_max = toNumberLoose(spec.budget_max);
+// ----------------- Streamed chat turn -----------------
+// One model request down the chat models (primary retried, fallbacks once), streaming text
+// chunks as they come. Returns { done, text, calls }; nothing is retried once chunks went out.
+async function streamModels(ws, contents, ctx, signal, tools) {
+  let text = "";
+  let calls = [];
+  let gotAnyChunk = false;
+  let done = false;
+  let blocked = false; // the breaker refused: stop instead of trying the next model
 
-  const ext = extractBudget(user);
-  if (ext) {
-    if (!budget_min && ext.min) budget_min = ext.min;
-    if (!budget_max && ext.max) budget_max = ext.max;
+  const cfg = configOf(sessionOf.get(ws));
+  for (let i = 0; i < cfg.models.chat.length && !done && !blocked; i++) {
+    const tries = i === 0 ? cfg.maxRetries : 1; // fallbacks get a single shot
+    const model = cfg.models.chat[i];
+    if (i > 0) modelFallbacks.inc({ call: "chat", model });
+    for (let attempt=0; attempt<tries; attempt++) {
+      if (!breaker.allow()) { blocked = true; break; }
+      calls = [];
+      const t0 = performance.now();
+      try {
+        for await (const piece of provider.streamChat({ model, contents, signal, tools })) {
+          if (signal?.aborted) break;
+          if (piece?.call) { calls.push(piece.call); continue; }
+          gotAnyChunk = true;
+          text += piece;
+          if (GUARDRAIL !== "buffer") broadcast(ws, "chunk", { text: piece }, ctx);
+        }
+        timeModel("chat", model, t0, "ok");
+        noteModelOutcome(null);
+        done = true;
+        break; // success
+      } catch (err) {
+        noteModelOutcome(err, signal);
+        if (signal?.aborted) { done = true; break; }
+        timeModel("chat", model, t0, "error");
+        if (gotAnyChunk) { logErr("stream", err, ctx); done = true; break; } // don't retry mid-stream
+        if (attempt < tries-1 && isRetryable(err)) {
+          modelRetries.inc({ call: "chat", model });
+          await sleep(jitter(cfg.baseDelayMs * Math.pow(2, attempt)));
+          continue;
+        }
+        logErr(i === 0 ? "stream" : "stream-fallback", err, ctx);
+        break;
+      }
+    }
   }
-  if (spec.budget && (spec.budget.min != null || spec.budget.max != null)) {
-    if (!budget_min && spec.budget.min != null) budget_min = toNumberLoose(spec.budget.min);
-    if (!budget_max && spec.budget.max != null) budget_max = toNumberLoose(spec.budget.max);
+  return { done, text, calls, blocked };
+}
+
+// Streams chunks, then the final text, and records the turn in history (tool rounds stay
+// out of it). With tools, calls are run between rounds and the model answers from their
+// results. Runs inside a queued turn; returns "failed" when no model answered. Aborting
+// drops the partial reply.
+async function streamReply(ws, user, ctx, signal, { tools = null } = {}) {
+  const session = sessionOf.get(ws);
+  const hist = session.history;
+  const contents = buildContents(session, user);
+
+  let full = "";
+  let last = ""; // the final round's text (earlier rounds are in contents with their calls)
+  let offeredAny;
+  for (let round = 0; ; round++) {
+    const offered = tools && round < MAX_TOOL_ROUNDS ? tools : undefined;
+    const res = await streamModels(ws, contents, ctx, signal, offered);
+    if (signal?.aborted) return "";
+    if (!res.done) {
+      const message = res.blocked ? "The model is overloaded; try again shortly" : "No model could answer";
+      broadcast(ws, "error", { code: ERR.SERVICE_UNAVAILABLE, message, retry_after_ms: breaker.retryAfterMs() || undefined }, ctx);
+      return "failed";
+    }
+    full += res.text;
+    last = res.text;
+    offeredAny ||= offered;
+    if (!offered || !res.calls.length) break;
+    contents.push({ role: "model", parts: [...(res.text ? [{ text: res.text }] : []), ...res.calls.map((c) => ({ functionCall: c }))] });
+    contents.push({ role: "user", parts: runTools(ws, res.calls, ctx, user) });
   }
 
-  budget_min = Math.max(0, budget_min);
-  budget_max = Math.max(0, budget_max);
-  if (budget_min && budget_max && budget_min > budget_max) {
-    const tmp = budget_min; budget_min = budget_max; budget_max = tmp;
+  // Save turn to history (user, then assistant) only if we have a response
+  if (full) {
+    const text = GUARDRAIL === "off" ? full : await guardReply(session, user, full, { contents, last, tools: offeredAny }, ctx, signal);
+    if (signal?.aborted) return "";
+    if (GUARDRAIL === "buffer") broadcast(ws, "chunk", { text }, ctx);
+    hist.push({ role: "user",  parts: [{ text: user }] });
+    hist.push({ role: "model", parts: [{ text }] });
+    const dropped = clampHistory(hist);
+    if (dropped.length) foldHistory(session, dropped);
+    sessions.save(session);
+    // Streamed chunks no longer match a repaired reply: flag the FINAL so clients swap it in
+    broadcast(ws, "final", text === full || GUARDRAIL === "buffer" ? { text } : { text, corrected: true }, ctx);
+    record(ws, "reply", { user, text }, ctx);
   }
+  return "";
+}
 
-  const max_len = Number(spec.max_depth_cm || spec.max_length_cm || 0);
-  const max_w   = Number(spec.max_width_cm  || 0);
-  const max_h   = Number(spec.max_height_cm || 0);
-
-  return (
-    `suggest=${spec.suggest ? 1 : 0};` +
-    `category=${sanitizeField(spec.category)};` +
-    `style=${sanitizeField(styleArr.join("|"))};` +
-    `budget_min=${budget_min};` +
-    `budget_max=${budget_max};` +
-    `max_len=${max_len};` +
-    `max_w=${max_w};` +
-    `max_h=${max_h};` +
-    `choice_id=;choice_name=`
-  );
+// Queue a chat turn for this socket's session. Every turn ends with exactly one
+// turn_end {status: final|cancelled|failed}; a full queue fails fast with BUSY (before any
+// budget is spent). opts: admit's.
+function submitTurn(ws, ctx, run, opts) {
+  if (acceptTurn(ws, ctx, opts)) startTurn(ws, ctx, run);
+}
+// The refusals (draining, BUSY, budgets); false after sending the error and turn_end.
+// A true answer holds until startTurn in the same tick.
+function acceptTurn(ws, ctx, opts) {
+  // Shutting down: running turns may finish, new ones are turned away
+  if (draining) {
+    turnsTotal.inc({ status: "rejected" });
+    emit(ws, "error", { code: ERR.SERVICE_UNAVAILABLE, message: "The server is restarting" }, ctx);
+    emit(ws, "turn_end", { status: "failed", code: ERR.SERVICE_UNAVAILABLE }, ctx);
+    return false;
+  }
+  if (turns.full(sessionOf.get(ws).id)) {
+    turnsTotal.inc({ status: "rejected" });
+    emit(ws, "error", { code: ERR.BUSY, message: "Still answering and the queue is full" }, ctx);
+    emit(ws, "turn_end", { status: "failed", code: ERR.BUSY }, ctx);
+    return false;
+  }
+  if (!admit(ws, ctx, opts)) {
+    turnsTotal.inc({ status: "rejected" });
+    emit(ws, "turn_end", { status: "failed" }, ctx);
+    return false;
+  }
+  return true;
+}
+function startTurn(ws, ctx, run) {
+  const started = performance.now();
+  const { position } = turns.submit(sessionOf.get(ws).id, {
+    id: ctx.turn_id,
+    run,
+    onEnd: (status, err) => {
+      if (err) {
+        logErr("turn", err, ctx);
+        broadcast(ws, "error", { code: ERR.INTERNAL, message: err?.message || "Server error" }, ctx);
+      }
+      turnsTotal.inc({ status });
+      log.info("turn", { session: ctx.session, turn_id: ctx.turn_id, participant: ctx.participant, status, ms: Math.round(performance.now() - started) });
+      broadcast(ws, "turn_end", { status }, ctx);
+    },
+  });
+  if (position > 0) broadcast(ws, "queued", { position }, ctx);
 }
 
-// ----------------- MATSPEC builder -----------------
-const SLOT_CANON = [
-  ["fabric", ["fabric","cloth","textile","upholstery"]],
-  ["leather",["leather"]],
-  ["linen",  ["linen"]],
-  ["velvet", ["velvet"]],
-  ["wool",   ["wool"]],
-  ["cotton", ["cotton"]],
-  ["wood",   ["wood","timber"]],
-  ["oak",    ["oak"]],
-  ["walnut", ["walnut"]],
-  ["ash",    ["ash"]],
-  ["metal",  ["metal","steel","iron","aluminum","aluminium"]],
-  ["brass",  ["brass","gold","golden"]],
-  ["chrome", ["chrome","silver","chromed"]],
-  ["glass",  ["glass"]],
-  ["stone",  ["stone","granite","slate","travertine"]],
-  ["marble", ["marble"]],
-  ["ceramic",["ceramic","tile"]],
-  ["rattan", ["rattan","wicker","cane"]],
-];
-const COLOR_CANON = [
-  ["black", ["black","jet","ink"]],
-  ["white", ["white","ivory"]],
-  ["gray",  ["gray","grey","graphite","charcoal","dark gray","dark-grey","darkgrey"]],
-  ["beige", ["beige","cream","sand","tan"]],
-  ["brown", ["brown","chocolate","walnut"]],
-  ["green", ["green","forest","olive","sage","mint"]],
-  ["blue",  ["blue","navy","cobalt","royal"]],
-  ["red",   ["red","burgundy","crimson"]],
-  ["brass", ["brass","gold","golden"]],
-  ["chrome",["chrome","silver","steel"]],
-];
-const FINISH_CANON = [
-  ["matte",       ["matte","matt"]],
-  ["satin",       ["satin","eggshell","egg-shell","semi-matte"]],
-  ["gloss",       ["gloss","glossy","high gloss","polished"]],
-  ["brushed",     ["brushed"]],
-  ["oiled",       ["oiled","oil finish"]],
-  ["stained",     ["stain","stained"]],
-  ["lacquered",   ["lacquer","lacquered"]],
-  ["powdercoated",["powder","powder-coated","powdercoated"]],
-  ["anodized",    ["anodized","anodised"]],
-  ["plated",      ["plated","electroplated"]],
-];
-const MATERIAL_HINTS = /\b(material|fabric|textile|leather|linen|velvet|wool|cotton|wood|oak|walnut|ash|veneer|metal|brass|chrome|steel|iron|aluminum|glass|marble|stone|ceramic|rattan|wicker|finish|color|colour|stain|paint|lacquer|matte|satin|gloss|brushed|oiled|powder|anodized|plated)\b/i;
-const stripLeadingTag = (s) => String(s||"").replace(/^\[[^\]]+\]\s*/, "");
-const findCanon = (lc, table) => {
-  for (const [canon, syns] of table) for (const s of syns) if (lc.includes(s)) return canon;
-  return "";
-};
+// Chat turn: streamed reply with tool calls, or (no tools) the reply followed by
+// SPEC/MATSPEC auto-dispatch while an item is focused
+async function runChatTurn(ws, user, ctx, signal) {
+  // Pure tag-only lines (e.g., just [ITEM_FOCUS ...]) get neither tools nor auto-dispatch
+  const trimmed = user.trim();
+  const lc = user.toLowerCase();
+  const isTagOnly = /^\s*\[[^\]]+\]\s*$/.test(trimmed);
+  const useTools = provider.supportsTools && TOOLS_MODE !== "off" && !isTagOnly;
+  const tools = useTools ? toolsFor(sessionOf.get(ws)) : null;
 
-async function makeMatSpecFlat(user) {
-  const schemaHint = `
-Return ONLY minified JSON:
-{
-  "apply": true|false,
-  "slot": "fabric|leather|velvet|linen|wool|cotton|wood|oak|walnut|ash|metal|brass|chrome|steel|glass|stone|marble|ceramic|rattan",
-  "color": "beige|black|white|gray|green|blue|red|brown|brass|chrome",
-  "finish": "matte|satin|gloss|semi-gloss|brushed|oiled|stained|lacquered|powdercoated|anodized|plated",
-  "style_tags": ["scandi","minimal","mid-century","industrial","boho","traditional","japandi"]
-}
-Rules:
-- "apply": true ONLY for material/finish/color changes to the current item (not model replacement).
-- Prefer one slot and concise descriptors. JSON only.`.trim();
+  const status = await streamReply(ws, user, ctx, signal, { tools });
+  if (status || signal.aborted || useTools) return status;
+
+  // ---- Auto-dispatch SPEC/MATSPEC while focused (keyword routing) ----
+  if (!hasFocus(ws) || isTagOnly) return "";
 
-  let spec = {};
-  for (let attempt=0; attempt<MAX_RETRIES; attempt++) {
+  const session = sessionOf.get(ws);
+  const cfg = configOf(session);
+  if (isMaterialIntent(lc, cfg.lex)) {
     try {
-      const res = await ai.models.generateContent({
-        model: SPEC_MODEL,
-        contents: [
-          { role: "user", parts: [{ text: `System: ${SYSTEM_PROMPT}` }] },
-          { role: "user", parts: [{ text: `${user}\n\n${schemaHint}` }] },
-        ],
-        config: { responseMimeType: "application/json" },
-      });
-      const txt = (res.text && res.text.trim()) ? res.text : "{}";
-      spec = JSON.parse(txt);
-      break;
+      const res = await makeMatSpec(cfg, user, signal, session.focus);
+      if (signal.aborted) return "";
+      emitMatSpec(ws, res, ctx, "auto", user);
+      if (res.unsupported) return await streamReply(ws, res.unsupported, ctx, signal);
     } catch (err) {
-      if (attempt < MAX_RETRIES-1 && isRetryable(err)) {
-        await sleep(jitter(BASE_DELAY_MS * Math.pow(2, attempt)));
-        continue;
-      }
-      logErr("matspec", err);
-      break;
+      if (!signal.aborted) logErr("matspec-auto", err);
+    }
+  } else if (isReplaceIntent(lc, cfg.lex)) {
+    try {
+      // Replacing the focused item: don't suggest it (or anything turned down before) again
+      noteRejected(session.prefs, session.focus);
+      const res = await makeSpec(cfg, user, signal, session.prefs);
+      if (signal.aborted) return "";
+      emitSpecs(ws, res, ctx, "auto", user);
+      if (res.noMatch) return await streamReply(ws, res.noMatch, ctx, signal);
+    } catch (err) {
+      if (!signal.aborted) logErr("spec-auto", err);
     }
   }
+  return "";
+}
 
-  const lc = stripLeadingTag(user).toLowerCase();
-  let slot   = String(spec.slot   || "").toLowerCase().trim();
-  let color  = String(spec.color  || "").toLowerCase().trim();
-  let finish = String(spec.finish || "").toLowerCase().trim();
-  if (!slot)   slot   = findCanon(lc, SLOT_CANON);
-  if (!color)  color  = findCanon(lc, COLOR_CANON);
-  if (!finish) finish = findCanon(lc, FINISH_CANON);
-
-  const styleArr = Array.isArray(spec.style_tags) ? spec.style_tags : (spec.style_tags ? [spec.style_tags] : []);
-  const style = styleArr.map((s)=>String(s).toLowerCase().replace(/[;|]/g,"/")).join("|");
-
-  const apply = (typeof spec.apply === "boolean" ? spec.apply : false) || MATERIAL_HINTS.test(lc) || !!slot || !!color || !!finish;
-
-  return (
-    `apply=${apply ? 1 : 0};` +
-    `slot=${slot.replace(/[;|]/g,"/")};` +
-    `color=${color.replace(/[;|]/g,"/")};` +
-    `finish=${finish.replace(/[;|]/g,"/")};` +
-    `style=${style}`
-  );
+// Explicit SPEC/MATSPEC requests are turns too (queued, cancellable, drained on shutdown);
+// generateJson already retries and falls back along the model chain.
+async function runSpecTurn(ws, user, ctx, signal) {
+  const session = sessionOf.get(ws);
+  const res = await makeSpec(configOf(session), user, signal, session.prefs);
+  if (signal.aborted) return "";
+  emitSpecs(ws, res, ctx, "explicit", user);
+  // Nothing in the catalog fits → let Roomie ask which constraint to relax
+  return res.noMatch ? await streamReply(ws, res.noMatch, ctx, signal) : "";
+}
+async function runMatSpecTurn(ws, user, ctx, signal) {
+  const session = sessionOf.get(ws);
+  const res = await makeMatSpec(configOf(session), user, signal, session.focus);
+  if (signal.aborted) return "";
+  emitMatSpec(ws, res, ctx, "explicit", user);
+  // Parts the focused item doesn't have (or can't take that material) → say so
+  return res.unsupported ? await streamReply(ws, res.unsupported, ctx, signal) : "";
 }
 
 // ----------------- WebSocket handling -----------------
-wss.on("connection", (ws) => {
-  histories.set(ws, []);
+// Per session, so turn ids stay unique when several sockets share one (co-shopping)
+const turnCounters = new WeakMap(); // session -> last turn number
+const nextTurnId = (ws) => {
+  const session = sessionOf.get(ws);
+  const n = (turnCounters.get(session) || 0) + 1;
+  turnCounters.set(session, n);
+  return `t${n}`;
+};
+
+// Put ws on a session as a participant (who: { participant, name } — a known participant
+// id keeps its entry on reconnect; on the same session it renames/switches this socket's).
+// A session the socket leaves is dropped when it was still empty and nobody else is on it.
+const attachTo = (ws, session, who = {}) => {
+  const prev = sessionOf.get(ws);
+  if (prev && prev !== session) {
+    const left = groups.remove(prev, ws);
+    sessions.detach(prev);
+    if (!left && !prev.history.length) sessions.delete(prev.token);
+    else announceParticipants(prev);
+  }
+  sessionOf.set(ws, session);
+  const connected = groups.members(session).filter((peer) => peer !== ws).map((peer) => participantOf.get(peer));
+  const old = prev === session ? participantOf.get(ws) : undefined;
+  const id = addParticipant(session, { id: who.participant || old, name: who.name }, connected);
+  if (old && old !== id && !connected.includes(old)) delete session.participants[old];
+  participantOf.set(ws, id);
+  if (prev !== session) sessions.attach(session);
+  groups.add(session, ws);
+  sessions.save(session);
+  if (groups.members(session).length > 1) announceParticipants(session);
+};
+
+// The resume token this socket may be told: the session's own, or the joiner's (sessions.js)
+const tokenOf = new WeakMap(); // ws -> token
+const addressOf = new WeakMap(); // ws -> remote address (join attempts are limited per address)
+
+// Resume by token or start fresh; resumed=false also when a token was unknown/expired.
+// A joiner's token resumes as that participant.
+const attachSession = (ws, token, who) => {
+  const found = sessions.get(token);
+  const guest = found && sessions.participantFor(found, token);
+  const session = found || sessions.create();
+  attachTo(ws, session, guest ? { ...who, participant: guest } : who);
+  tokenOf.set(ws, found ? token : session.token);
+  return { session, resumed: !!found };
+};
+// Join by code; { error } (socket unchanged) when the code is unknown, the session is full
+// or the address has tried too many codes (JOIN_ATTEMPTS_PER_MIN)
+const joinSession = (ws, code, who) => {
+  const r = joinAttempts.take(addressOf.get(ws) || "");
+  if (!r.ok) {
+    rejectedTotal.inc({ reason: "rate_limited_join" });
+    return { error: "Too many join attempts; try again shortly", limited: true, retry_after_ms: r.retryAfterMs };
+  }
+  const session = groups.find(code);
+  if (!session) return { error: "Unknown or expired join code" };
+  const already = session === sessionOf.get(ws);
+  if (!already && groups.members(session).length >= MAX_MEMBERS) {
+    return { error: `The session already has ${MAX_MEMBERS} devices`, full: true };
+  }
+  attachTo(ws, session, who);
+  if (!already) tokenOf.set(ws, sessions.grant(session, participantOf.get(ws)));
+  session.shared = true; // from now on messages are attributed by name
+  return { session, resumed: true };
+};
+const joinError = ({ error, full, limited, retry_after_ms }) =>
+  ({ code: limited ? ERR.RATE_LIMITED : full ? ERR.INVALID_STATE : ERR.BAD_REQUEST, message: error, retry_after_ms });
+const sessionInfo = ({ session, resumed }, ws) => ({
+  token: tokenOf.get(ws), id: session.id, resumed, participant: participantOf.get(ws), code: session.share_code || "",
+});
+
+// Returns false for unknown locales; empty/missing leaves the session unchanged
+const setLocale = (session, locale) => {
+  if (!locale) return true;
+  if (!LANGUAGES[locale]) return false;
+  session.locale = locale;
+  session.lang = "";
+  sessions.save(session);
+  return true;
+};
+
+// Showroom (config.js tenant) for the session; false for unknown tenants, empty leaves it
+const setTenant = (session, tenant) => {
+  if (!tenant) return true;
+  if (!config.has(tenant)) return false;
+  session.tenant = tenant;
+  sessions.save(session);
+  return true;
+};
+const unknownTenant = (tenant) => ({ code: ERR.BAD_REQUEST, message: `Unknown tenant "${tenant}"` });
+
+wss.on("connection", (ws, req) => {
+  // v1 clients opt in with ?session=<token> (or ?session= for a new one) and get SESSION|...;
+  // ?join=<code> joins a shared session (&name=, &participant= to keep a reconnect's identity)
+  const query = new URL(req.url || "/", "http://localhost").searchParams;
+  addressOf.set(ws, req.socket.remoteAddress);
+  const who = { participant: query.get("participant"), name: query.get("name") };
+  let attached = attachSession(ws, query.get("session"), who);
+  if (query.get("join")) {
+    const joined = joinSession(ws, query.get("join"), who);
+    if (joined.error) emit(ws, "error", joinError(joined));
+    else attached = joined;
+  }
+  if (query.has("session") || query.has("join")) emit(ws, "session", sessionInfo(attached, ws));
+  setLocale(attached.session, query.get("locale"));
+  if (!setTenant(attached.session, query.get("tenant"))) emit(ws, "error", unknownTenant(query.get("tenant")));
+  log.info("connected", { session: attached.session.id, tenant: attached.session.tenant || undefined, participant: participantOf.get(ws), resumed: attached.resumed, subject: req.subject || undefined });
 
   ws.on("message", async (data) => {
-    const raw = data.toString();
+    const oversized = MAX_MESSAGE_BYTES && data.length > MAX_MESSAGE_BYTES;
+    if (oversized && !isImageFrame(data)) return refuseTooLarge(ws);
+    const msg = parseMessage(ws, data.toString());
+    if (!msg) return;
+    if (msg.error) {
+      emit(ws, "error", msg.error, { request_id: msg.request_id }, { json: !!msg.json });
+      return;
+    }
+    // Looked like an image but isn't one (e.g. a nested "type":"image")
+    if (oversized && msg.type !== "image") return refuseTooLarge(ws, msg.request_id);
+    // ----- HELLO (v2 negotiation) -----
+    if (msg.type === "hello") {
+      if (msg.data.tenant && !config.has(String(msg.data.tenant))) {
+        emit(ws, "error", unknownTenant(msg.data.tenant), { request_id: msg.request_id });
+        return;
+      }
+      let info = { session: sessionOf.get(ws), resumed: false };
+      const who = { participant: msg.data.participant, name: msg.data.name };
+      if (msg.data.join) {
+        const joined = joinSession(ws, String(msg.data.join), who);
+        if (joined.error) {
+          emit(ws, "error", joinError(joined), { request_id: msg.request_id });
+          return;
+        }
+        info = joined;
+      } else if (msg.data.session && msg.data.session !== tokenOf.get(ws)) {
+        const token = String(msg.data.session);
+        if (sessions.get(token)) info = attachSession(ws, token, who);
+      } else if (who.participant || who.name) {
+        attachTo(ws, info.session, who);
+      }
+      setLocale(info.session, msg.data.locale);
+      setTenant(info.session, msg.data.tenant && String(msg.data.tenant));
+      emit(ws, "hello", {
+        version: msg.version, versions: PROTOCOL_VERSIONS, server: SERVER_NAME,
+        session: sessionInfo(info, ws), locale: info.session.locale, locales: Object.keys(LANGUAGES),
+        tenant: info.session.tenant,
+      }, { request_id: msg.request_id });
+      return;
+    }
+
+    // ----- SHARE: join code for this session (co-shopping) -----
+    if (msg.type === "share") {
+      const session = sessionOf.get(ws);
+      emit(ws, "share", { code: groups.codeFor(session), participants: participantList(session) }, { request_id: msg.request_id });
+      return;
+    }
+
+    // ----- JOIN: move this socket onto a shared session -----
+    if (msg.type === "join") {
+      const code = String(msg.data?.code ?? msg.text).trim();
+      const joined = joinSession(ws, code, { participant: msg.data?.participant, name: msg.data?.name });
+      if (joined.error) {
+        emit(ws, "error", joinError(joined), { request_id: msg.request_id });
+        return;
+      }
+      emit(ws, "session", sessionInfo(joined, ws), { request_id: msg.request_id });
+      return;
+    }
+
+    // ----- LOCALE: client-selected language (fallback when a turn's language is unclear) -----
+    if (msg.type === "locale") {
+      const locale = String(msg.data?.locale ?? msg.text).trim().toLowerCase();
+      if (!setLocale(sessionOf.get(ws), locale)) {
+        emit(ws, "error", { code: ERR.BAD_REQUEST, message: `Unsupported locale "${locale}" (${Object.keys(LANGUAGES).join(", ")})` }, { request_id: msg.request_id });
+      }
+      return;
+    }
+
+    // ----- CANCEL: abort the running turn (and pending SPEC/MATSPEC) and drop queued ones -----
+    if (msg.type === "cancel") {
+      const turnId = String(msg.data?.turn_id ?? msg.text ?? "").trim();
+      turns.cancel(sessionOf.get(ws).id, turnId);
+      return;
+    }
+
+    // session is only for logs (emit echoes turn_id/request_id/participant)
+    const ctx = { turn_id: nextTurnId(ws), request_id: msg.request_id, participant: participantOf.get(ws), session: sessionOf.get(ws).id };
+    record(ws, "message", msg.type === "image" ? { type: msg.type } : { type: msg.type, text: msg.text, data: frameData(msg) }, ctx);
 
     try {
       // ----- SPEC (explicit) -----
-      if (raw.startsWith("SPEC|")) {
-        const user = raw.slice(5);
-        let flat = "";
-        for (let attempt=0; attempt<MAX_RETRIES; attempt++) {
-          try {
-            flat = await makeSpecFlat(user);
-            break;
-          } catch (err) {
-            if (attempt < MAX_RETRIES-1 && isRetryable(err)) {
-              await sleep(jitter(BASE_DELAY_MS * Math.pow(2, attempt)));
-              continue;
-            }
-            logErr("spec-explicit", err);
-            break;
-          }
-        }
-        if (flat && ws.readyState === ws.OPEN) ws.send("SPEC|" + flat);
+      if (msg.type === "spec") {
+        submitTurn(ws, ctx, (signal) => runSpecTurn(ws, msg.text, ctx, signal));
         return;
       }
 
-      // ----- MATSPEC (explicit) -----
-      if (raw.startsWith("MATSPEC|")) {
-        const user = raw.slice(8);
-        let flat = "";
-        for (let attempt=0; attempt<MAX_RETRIES; attempt++) {
-          try {
-            flat = await makeMatSpecFlat(user);
-            break;
-          } catch (err) {
-            if (attempt < MAX_RETRIES-1 && isRetryable(err)) {
-              await sleep(jitter(BASE_DELAY_MS * Math.pow(2, attempt)));
-              continue;
-            }
-            logErr("matspec-explicit", err);
-            break;
-          }
+      // ----- LAYOUT: clearance/overlap/rug/seat check, remembered for the chat context -----
+      if (msg.type === "layout") {
+        let body = msg.data;
+        if (!body) { try { body = JSON.parse(msg.text); } catch { body = null; } }
+        const parsed = parseLayout(body);
+        if (parsed.error) {
+          emit(ws, "error", { code: ERR.BAD_REQUEST, message: parsed.error }, ctx);
+          return;
         }
-        if (flat && ws.readyState === ws.OPEN) ws.send("MATSPEC|" + flat);
+        const res = checkLayout(parsed.room, parsed.items);
+        const summary = layoutSummary(parsed.room, parsed.items, res);
+        const session = sessionOf.get(ws);
+        session.layout = { summary, at: Date.now() };
+        sessions.save(session);
+        broadcast(ws, "layout", { ...res, summary }, ctx);
         return;
       }
 
-      // ----- USER: streamed chat reply -----
-      if (!raw.startsWith("USER|")) return;
-      const user = raw.slice(5);
-      const trimmed = user.trim();
-      const lc = user.toLowerCase();
-
-      // Silent control tags — flip focus and return (no reply, no history, no SPEC/MATSPEC)
-      if (/^\s*\[(focus_clear|placed|replaced)\b[^\]]*\]\s*$/i.test(trimmed)) {
-        setFocus(ws, false);
+      // ----- CART: add/remove/set_qty/clear and the checkout state machine -----
+      if (msg.type === "cart") {
+        let a = msg.data;
+        if (!a && msg.text.trimStart().startsWith("{")) { try { a = JSON.parse(msg.text); } catch { a = {}; } }
+        if (!a) a = parseFlat(msg.text);
+        const session = sessionOf.get(ws);
+        const cart = cartOf(session);
+        const action = String(a.action || "").toLowerCase();
+        const res = applyCartAction(cart, a, {
+          catalog,
+          placeOrder: (c) => orders.create({
+            session_id: session.id, lines: c.lines.map((l) => ({ ...l })), subtotal: cartTotals(c).subtotal, currency: fx.base,
+          }).order_id,
+        });
+        if (res.error) {
+          emit(ws, "error", { code: res.stateError ? ERR.INVALID_STATE : ERR.BAD_REQUEST, message: res.error }, ctx);
+          emit(ws, "cart", cartView(cart, cartBudget(session)), ctx);
+          return;
+        }
+        sessions.save(session);
+        broadcast(ws, "cart", cartView(cart, cartBudget(session)), ctx);
+        const tag = cartTag(action, a, cart);
+        const reply = a.reply !== false && a.reply !== "0";
+        if (tag && reply) submitTurn(ws, ctx, (signal) => streamReply(ws, tag, ctx, signal), { ui: true });
         return;
       }
 
-      // Focus tagging
-      if (/^\[item_focus\b/i.test(trimmed)) setFocus(ws, true);
-
-      // Per-socket serialization: one chat stream at a time
-      if (chatBusy.get(ws)) return;
-      chatBusy.set(ws, true);
-
-      const hist = histories.get(ws) || [];
-      const contents = buildContents(hist, user);
-
-      let full = "";
-      let gotAnyChunk = false;
-      let lastErr = null;
-
-      for (let attempt=0; attempt<MAX_RETRIES; attempt++) {
-        try {
-          const stream = await ai.models.generateContentStream({ model: CHAT_MODEL, contents });
-          for await (const chunk of stream) {
-            const piece = chunk.text || "";
-            if (piece) {
-              gotAnyChunk = true;
-              full += piece;
-              if (ws.readyState === ws.OPEN) ws.send("CHUNK|" + piece);
-            }
-          }
-          lastErr = null;
-          break; // success
-        } catch (err) {
-          lastErr = err;
-          if (gotAnyChunk) break; // don't retry mid-stream
-          if (attempt < MAX_RETRIES-1 && isRetryable(err)) {
-            await sleep(jitter(BASE_DELAY_MS * Math.pow(2, attempt)));
-            continue;
-          }
-          logErr("stream", err);
-          break;
+      // ----- CONTROL: UI events with a schema each; reactions use a server-built tag -----
+      if (msg.type === "control") {
+        controlSockets.add(ws);
+        let body = msg.data;
+        if (!body) { try { body = JSON.parse(msg.text); } catch { body = null; } }
+        const control = parseControl(body);
+        if (control.error) {
+          emit(ws, "error", { code: ERR.BAD_REQUEST, message: control.error }, ctx);
+          return;
         }
+        const tag = applyControl(sessionOf.get(ws), control);
+        shareFocus(ws, control.event, ctx);
+        if (tag) submitTurn(ws, ctx, (signal) => runChatTurn(ws, tag, ctx, signal), { ui: true });
+        return;
       }
 
-      // Optional hard fallback if nothing streamed
-      if (!gotAnyChunk && lastErr) {
-        try {
-          const stream2 = await ai.models.generateContentStream({ model: "gemini-1.5-flash", contents });
-          for await (const chunk of stream2) {
-            const piece = chunk.text || "";
-            if (piece) {
-              full += piece;
-              if (ws.readyState === ws.OPEN) ws.send("CHUNK|" + piece);
-            }
-          }
-        } catch (e2) {
-          logErr("stream-fallback", e2);
-          if (ws.readyState === ws.OPEN) ws.send("ERROR|SERVICE_UNAVAILABLE");
+      // ----- IMAGE: room screenshot → style read-out and a reply grounded in it -----
+      if (msg.type === "image") {
+        let body = msg.data;
+        if (!body) { try { body = JSON.parse(msg.text); } catch { body = null; } }
+        if (!configOf(sessionOf.get(ws)).models.vision.length) {
+          emit(ws, "error", { code: ERR.UNSUPPORTED_MEDIA, message: "This server's model can't read images (VISION_MODELS)" }, ctx);
+          return;
+        }
+        const res = parseImage(body, { maxBytes: IMAGE_MAX_BYTES });
+        if (res.error) {
+          const code = res.tooLarge ? ERR.TOO_LARGE : res.unsupported ? ERR.UNSUPPORTED_MEDIA : ERR.BAD_REQUEST;
+          emit(ws, "error", { code, message: res.error }, ctx);
+          return;
         }
+        submitTurn(ws, ctx, (signal) => runImageTurn(ws, res.image, res.question, ctx, signal));
+        return;
       }
 
-      // Save turn to history (user, then assistant) only if we have a response
-      if (full) {
-        hist.push({ role: "user",  parts: [{ text: user }] });
-        hist.push({ role: "model", parts: [{ text: full }] });
-        clampHistory(hist);
-        histories.set(ws, hist);
-        if (ws.readyState === ws.OPEN) ws.send("FINAL|" + full);
+      // ----- MATSPEC (explicit) -----
+      if (msg.type === "matspec") {
+        submitTurn(ws, ctx, (signal) => runMatSpecTurn(ws, msg.text, ctx, signal));
+        return;
       }
 
-      // ---- Auto-dispatch SPEC/MATSPEC while focused ----
-      // Skip pure tag-only lines (e.g., just [ITEM_FOCUS ...])
-      const isTagOnly = /^\s*\[[^\]]+\]\s*$/.test(trimmed);
-      if (hasFocus(ws) && !isTagOnly) {
-        if (isMaterialIntent(lc)) {
-          try {
-            const flat = await makeMatSpecFlat(user);
-            if (ws.readyState === ws.OPEN) ws.send("MATSPEC|" + flat);
-          } catch (err) {
-            logErr("matspec-auto", err);
-          }
-        } else if (isReplaceIntent(lc)) {
-          try {
-            const flat = await makeSpecFlat(user);
-            if (ws.readyState === ws.OPEN) ws.send("SPEC|" + flat);
-          } catch (err) {
-            logErr("spec-auto", err);
-          }
-        }
+      // ----- USER: streamed chat reply -----
+      if (msg.type !== "user") {
+        emit(ws, "error", { code: ERR.UNKNOWN_TYPE, message: `Unknown message type "${msg.type}"` }, ctx);
+        return;
+      }
+      // Typed text can't pose as the app: tags are neutralized, except a legacy build's leading one
+      const split = legacyTags(ws) ? splitLegacyText(msg.text) : { control: null, text: neutralizeTags(msg.text) };
+      const legacy = split.control;
+      let user = split.text;
+      if (legacy?.error) {
+        emit(ws, "error", { code: ERR.BAD_REQUEST, message: legacy.error }, ctx);
+        return;
+      }
+      if (legacy) {
+        user = [applyControl(sessionOf.get(ws), legacy), user].filter(Boolean).join(" ");
+        shareFocus(ws, legacy.event, ctx);
+        if (!user) return; // silent (focus_clear / placed / replaced)
       }
 
-      chatBusy.set(ws, false);
+      // Per-session serialization: queued behind the running turn (or rejected when full).
+      // Only an accepted turn updates the profile and is shown to the others.
+      if (!acceptTurn(ws, ctx)) return;
+      const session = sessionOf.get(ws);
+      notePrefs(session, user);
+      // Shared session: the others see what was said, the model sees who said it
+      const name = participantName(session, ctx.participant);
+      broadcast(ws, "user_message", { participant: ctx.participant, name, text: user }, ctx, { others: true });
+      if (session.shared && !legacy) user = `${name}: ${user}`;
+      startTurn(ws, ctx, (signal) => runChatTurn(ws, user, ctx, signal));
     } catch (err) {
-      chatBusy.set(ws, false);
-      if (ws.readyState === ws.OPEN) ws.send("ERROR|" + (err?.message || "Server error"));
+      emit(ws, "error", { code: ERR.INTERNAL, message: err?.message || "Server error" }, ctx);
     }
   });
 
+  // The session stays in the store (TTL) so the client can resume it. When nobody is
+  // left to read the answers, stop spending tokens on them; otherwise the others go on.
   ws.on("close", () => {
-    chatBusy.delete(ws);
-    histories.delete(ws);
+    const session = sessionOf.get(ws);
+    log.info("disconnected", { session: session.id, participant: participantOf.get(ws) });
+    sessions.detach(session);
+    if (groups.remove(session, ws)) announceParticipants(session);
+    else turns.cancel(session.id);
   });
 });
+
+// Graceful shutdown: refuse new sockets and turns, let running turns finish their
+// streams (up to SHUTDOWN_TIMEOUT_MS, then cancel), close sockets, persist sessions.
+// A second signal exits right away.
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 15_000;
+async function shutdown(signal) {
+  if (draining) { sessions.flush(); process.exit(1); }
+  draining = true;
+  log.info("shutting down", { signal, turns_running: turns.running(), sockets: wss.clients.size });
+  const deadline = Date.now() + SHUTDOWN_TIMEOUT_MS;
+  while (turns.running() && Date.now() < deadline) await sleep(100);
+  if (turns.running()) {
+    log.warn("shutdown: cancelling turns still running", { turns_running: turns.running() });
+    turns.cancelAll();
+    await sleep(100); // let turn_end go out
+  }
+  for (const ws of wss.clients) ws.close(1001, "server restarting");
+  server.close();
+  sessions.flush();
+  process.exit(0);
+}
+for (const sig of ["SIGINT", "SIGTERM"]) process.on(sig, () => { shutdown(sig); });
+// Config files are watched; SIGHUP reloads them too (e.g. where fs.watch misses changes)
+process.on("SIGHUP", () => config.reload());
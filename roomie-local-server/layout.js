@@ -0,0 +1,165 @@
+// layout.js — room layout & clearance checks (all values in centimeters)
+//
+// Floor plan: room spans (0,0)–(w,len). Each item has its center (x,y), rotation in
+// degrees around the vertical axis and footprint w × d before rotation. Items are
+// compared by the axis-aligned box of their rotated footprint.
+
+export const MIN_WALKWAY_CM = 60;
+export const GOOD_WALKWAY_CM = 90;
+export const SEAT_WIDTH_CM = 60;
+export const RUG_SIZES = [[160, 230], [200, 300], [240, 340]];
+const RUG_BORDER_CM = 30;        // bare floor to leave around a rug
+const ADJACENT_CM = 10;          // closer than this counts as "placed together", not a walkway
+const CHAIR_PULLOUT_CM = 75;     // dining table edge → wall, to pull a chair out
+const COFFEE_TABLE_GAP = [35, 50];
+
+// Pairs that are meant to sit close together (no walkway between them)
+const GROUPED = [
+  ["chair", "dining-table"], ["chair", "desk"], ["nightstand", "bed"], ["stool", "dining-table"],
+];
+const isPair = (a, b, [p, q]) => (a === p && b === q) || (a === q && b === p);
+
+const finite = (v) => typeof v === "number" && Number.isFinite(v);
+
+/** Validate a layout message body. Returns { room, items } or { error }. */
+export function parseLayout(body) {
+  const room = body?.room;
+  if (!room || !finite(room.w) || !finite(room.len) || room.w <= 0 || room.len <= 0) {
+    return { error: "room must be { w, len } in cm" };
+  }
+  if (!Array.isArray(body.items)) return { error: "items must be an array" };
+  const items = [];
+  for (const [i, it] of body.items.entries()) {
+    if (!it || typeof it !== "object") return { error: `items[${i}] must be an object` };
+    for (const k of ["x", "y", "w", "d"]) {
+      if (!finite(it[k])) return { error: `items[${i}].${k} must be a number (cm)` };
+    }
+    if (it.w <= 0 || it.d <= 0) return { error: `items[${i}] needs a positive w and d` };
+    items.push({
+      id: String(it.id ?? i),
+      name: String(it.name ?? it.id ?? `item ${i + 1}`),
+      category: String(it.category || "").toLowerCase(),
+      x: it.x, y: it.y, w: it.w, d: it.d,
+      rot: finite(it.rot) ? it.rot : 0,
+      round: !!it.round,
+    });
+  }
+  return { room: { w: room.w, len: room.len }, items };
+}
+
+// Axis-aligned box of a rotated footprint
+const box = (it) => {
+  const r = (it.rot * Math.PI) / 180;
+  const c = Math.abs(Math.cos(r)), s = Math.abs(Math.sin(r));
+  const hw = (it.w * c + it.d * s) / 2, hd = (it.w * s + it.d * c) / 2;
+  return { x0: it.x - hw, x1: it.x + hw, y0: it.y - hd, y1: it.y + hd };
+};
+const gapBetween = (a, b) => {
+  const dx = Math.max(0, Math.max(a.x0, b.x0) - Math.min(a.x1, b.x1));
+  const dy = Math.max(0, Math.max(a.y0, b.y0) - Math.min(a.y1, b.y1));
+  return Math.hypot(dx, dy);
+};
+const overlapArea = (a, b) =>
+  Math.max(0, Math.min(a.x1, b.x1) - Math.max(a.x0, b.x0)) * Math.max(0, Math.min(a.y1, b.y1) - Math.max(a.y0, b.y0));
+
+const diningSeats = (t) => {
+  if (t.round) return Math.max(2, Math.floor((Math.PI * Math.max(t.w, t.d)) / SEAT_WIDTH_CM));
+  const long = Math.max(t.w, t.d), short = Math.min(t.w, t.d);
+  return 2 * Math.floor(long / SEAT_WIDTH_CM) + (short >= 80 ? 2 : 0);
+};
+
+// Smallest standard rug covering the target that still leaves a floor border; else the
+// biggest that fits the room.
+const pickRug = (room, target) => {
+  const fits = ([a, b]) =>
+    (a + 2 * RUG_BORDER_CM <= room.w && b + 2 * RUG_BORDER_CM <= room.len) ||
+    (b + 2 * RUG_BORDER_CM <= room.w && a + 2 * RUG_BORDER_CM <= room.len);
+  const covers = ([a, b]) => !target || (Math.max(a, b) >= Math.max(...target) && Math.min(a, b) >= Math.min(...target));
+  const roomy = RUG_SIZES.filter(fits);
+  const pick = roomy.find(covers) || roomy[roomy.length - 1];
+  if (!pick) return null;
+  return { w: pick[0], len: pick[1], size: `${pick[0]}×${pick[1]}`, covers: covers(pick) };
+};
+
+/**
+ * Returns { ok, violations:[], overlaps:[], rug, dining:[] }.
+ * violations: { kind, severity: "error"|"warning", items:[ids], gap_cm, min_cm }
+ */
+export function checkLayout(room, items) {
+  const violations = [], overlaps = [], dining = [];
+  const solid = items.filter((it) => it.category !== "rug").map((it) => ({ it, b: box(it) }));
+
+  for (const { it, b } of solid) {
+    if (b.x0 < -1 || b.y0 < -1 || b.x1 > room.w + 1 || b.y1 > room.len + 1) {
+      violations.push({ kind: "outside_room", severity: "error", items: [it.id] });
+    }
+  }
+
+  for (let i = 0; i < solid.length; i++) {
+    for (let j = i + 1; j < solid.length; j++) {
+      const A = solid[i], B = solid[j];
+      const area = overlapArea(A.b, B.b);
+      if (area > 25) { overlaps.push({ items: [A.it.id, B.it.id], area_cm2: Math.round(area) }); continue; }
+
+      const gap = Math.round(gapBetween(A.b, B.b));
+      const cats = [A.it.category, B.it.category];
+      if (GROUPED.some((p) => isPair(...cats, p))) continue;
+      if (cats.includes("coffee-table") && (cats.includes("sofa") || cats.includes("armchair"))) {
+        const [lo, hi] = COFFEE_TABLE_GAP;
+        if (gap < lo || gap > hi) {
+          violations.push({ kind: "coffee_table_reach", severity: "warning", items: [A.it.id, B.it.id], gap_cm: gap, min_cm: lo, max_cm: hi });
+        }
+        continue;
+      }
+      if (gap <= ADJACENT_CM || gap >= GOOD_WALKWAY_CM) continue;
+      violations.push({
+        kind: "walkway",
+        severity: gap < MIN_WALKWAY_CM ? "error" : "warning",
+        items: [A.it.id, B.it.id],
+        gap_cm: gap,
+        min_cm: gap < MIN_WALKWAY_CM ? MIN_WALKWAY_CM : GOOD_WALKWAY_CM,
+      });
+    }
+  }
+
+  for (const { it: t, b } of solid.filter(({ it }) => it.category === "dining-table")) {
+    const chairs = solid.filter(({ it }) => (it.category === "chair" || it.category === "stool") && gapBetween(b, box(it)) <= SEAT_WIDTH_CM).length;
+    const seats = diningSeats(t);
+    dining.push({ id: t.id, seats, chairs });
+    if (chairs > seats) violations.push({ kind: "too_many_chairs", severity: "warning", items: [t.id], chairs, seats });
+    const wallGap = Math.round(Math.min(b.x0, b.y0, room.w - b.x1, room.len - b.y1));
+    if (wallGap > ADJACENT_CM && wallGap < CHAIR_PULLOUT_CM) {
+      violations.push({ kind: "chair_pullout", severity: "warning", items: [t.id], gap_cm: wallGap, min_cm: CHAIR_PULLOUT_CM });
+    }
+  }
+
+  // Rug target: under a dining table with chairs pulled out, or the sofa's front zone
+  const table = items.find((it) => it.category === "dining-table");
+  const sofa = items.find((it) => it.category === "sofa");
+  let target = null;
+  if (table) target = [Math.max(table.w, table.d) + 120, Math.min(table.w, table.d) + 120];
+  else if (sofa) target = [Math.max(sofa.w, sofa.d) + 20, 160];
+  const rug = pickRug(room, target);
+
+  const ok = !overlaps.length && !violations.some((v) => v.severity === "error");
+  return { ok, violations, overlaps, rug, dining };
+}
+
+// One-paragraph plain-text version for the chat context
+export function layoutSummary(room, items, res) {
+  const name = (id) => items.find((it) => it.id === id)?.name || id;
+  const parts = [`room ${room.w}×${room.len} cm, ${items.length} items`];
+  for (const o of res.overlaps) parts.push(`${name(o.items[0])} overlaps ${name(o.items[1])}`);
+  for (const v of res.violations) {
+    const who = v.items.map(name).join(" / ");
+    if (v.kind === "walkway") parts.push(`walkway ${who} is ${v.gap_cm} cm (want ≥${v.min_cm})`);
+    else if (v.kind === "coffee_table_reach") parts.push(`coffee table gap ${who} is ${v.gap_cm} cm (ideal ${v.min_cm}–${v.max_cm})`);
+    else if (v.kind === "chair_pullout") parts.push(`${who} is ${v.gap_cm} cm from a wall (chairs need ~${v.min_cm})`);
+    else if (v.kind === "too_many_chairs") parts.push(`${who} has ${v.chairs} chairs for ${v.seats} seats`);
+    else if (v.kind === "outside_room") parts.push(`${who} sticks out of the room`);
+  }
+  for (const d of res.dining) parts.push(`${name(d.id)} seats ${d.seats}`);
+  if (res.rug) parts.push(`recommended rug ${res.rug.size} cm`);
+  if (res.ok && !res.violations.length) parts.push("no clearance problems");
+  return parts.join("; ");
+}
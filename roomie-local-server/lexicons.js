@@ -0,0 +1,68 @@
+// lexicons.js — language detection and the Russian/Georgian phrase rules for the fallbacks
+//
+// The ru/ka vocabulary (categories, intent, materials, slots, colors, ...) is config, in
+// config/lexicon.ru.json and config/lexicon.ka.json (see config.js). What stays here are
+// patterns, like the English ones in specs.js: brand/info questions and the budget phrase
+// rewrites. Terms are lowercase stems: Russian and Georgian inflect, so "диван" also covers
+// "дивана"/"диваном" and "დივან" covers "დივანი"/"დივანს". The scripts don't overlap, so
+// every locale is matched at once; language detection only picks the reply language.
+
+export const LANGUAGES = { en: "English", ru: "Russian", ka: "Georgian" };
+
+// Script-based, per turn; "" when the text has no letters (tags, numbers)
+export const detectLanguage = (text) => {
+  const t = String(text || "");
+  const ka = (t.match(/[Ⴀ-ჿ]/g) || []).length;
+  const ru = (t.match(/[Ѐ-ӿ]/g) || []).length;
+  const en = (t.match(/[a-z]/gi) || []).length;
+  if (!ka && !ru && !en) return "";
+  if (ka >= ru && ka >= en) return "ka";
+  if (ru >= en) return "ru";
+  return "en";
+};
+
+const NUM = "(\\d[\\d.,]*k?)";
+// Only before an amount ("до 500", "от $300"); "до свидания", "от дивана" stay as they are
+const AMOUNT_AHEAD = "(?=\\s*[$€£₾₽]?\\s*\\d)";
+
+export const LOCALE_RULES = {
+  ru: {
+    brandInfo: /(расскажи|чем отличается|в чем разница|сравни|сравнени|плюсы|минусы|гаранти|доставк|возврат|срок поставки|в наличии|наличи)/i,
+    // Rewritten to the English phrasing extractBudget already understands
+    budgetPhrases: [
+      [new RegExp(`от\\s*${NUM}\\s*до\\s*${NUM}`, "gu"), "between $1 and $2"],
+      [/(\d)\s*(?:тыс(?:\.|яч\p{L}*)?|к)(?![\p{L}])/gu, "$1k"],
+      [new RegExp(`(?<![\\p{L}])до${AMOUNT_AHEAD}`, "gu"), "under"],
+      [/не\s*(?:больше|более|дороже)|максимум|в\s*пределах/gu, "max"],
+      [/не\s*(?:меньше|менее|дешевле)|минимум/gu, "min"],
+      [new RegExp(`(?<![\\p{L}])от${AMOUNT_AHEAD}`, "gu"), "min"],
+      [/около|примерно|приблизительно|где-то/gu, "around"],
+      [/бюджет\p{L}*/gu, "budget"],
+      [/(?<![\p{L}])цен\p{L}*/gu, "price"],
+      [/лари|лар[еия]\p{L}*|руб\p{L}*|долл\p{L}*|евро/gu, ""],
+    ],
+  },
+
+  ka: {
+    brandInfo: /(მითხარი|რით განსხვავდება|რა განსხვავება|შედარება|შეადარე|უპირატესობ|ნაკლოვან|გარანტი|მიწოდებ|დაბრუნებ|მარაგ)/i,
+    budgetPhrases: [
+      [new RegExp(`${NUM}\\s*-?\\s*(?:ლარ)?ი?დან\\s*${NUM}\\s*-?\\s*(?:ლარ)?ა?მდე`, "gu"), "between $1 and $2"],
+      [/(\d)\s*ათას\p{L}*/gu, "$1k"],
+      [new RegExp(`${NUM}\\s*-?\\s*(?:ლარ)?ა?მდე`, "gu"), "under $1"],
+      [new RegExp(`${NUM}\\s*-?\\s*(?:ლარ)?ი?დან`, "gu"), "min $1"],
+      [/მაქსიმუმ|არაუმეტეს|არა\s*უმეტეს/gu, "max"],
+      [/მინიმუმ|არანაკლებ|არა\s*ნაკლებ/gu, "min"],
+      [/დაახლოებით|დაახლ\.?|სადღაც/gu, "around"],
+      [/ბიუჯეტ\p{L}*/gu, "budget"],
+      [/ფას\p{L}*/gu, "price"],
+      [/ლარ\p{L}*|დოლარ\p{L}*|ევრო/gu, ""],
+    ],
+  },
+};
+
+// Apply every locale's budget phrase rewrites (input already lowercased)
+export const normalizeBudgetPhrases = (t) => {
+  let s = t;
+  for (const rules of Object.values(LOCALE_RULES)) for (const [re, to] of rules.budgetPhrases) s = s.replace(re, to);
+  return s;
+};
@@ -0,0 +1,68 @@
+// limits.js — request budgets and a circuit breaker around the model
+//
+// Budgets are token buckets: `perMin` requests a minute, refilled continuously, with bursts
+// up to `burst` (default: a whole minute's worth). The breaker is shared by every socket:
+// after `failures` overload-type errors in a row it opens for `cooldownMs` and model calls
+// fail fast; then one probe call is let through (half-open) and its outcome closes or
+// re-opens it.
+
+/** Token buckets per key (session id, "global", ...). perMin 0 = unlimited. */
+export function createRateLimiter({ perMin = 0, burst = Math.max(1, perMin) } = {}) {
+  const buckets = new Map(); // key -> { tokens, at }
+  const rate = perMin / 60_000; // tokens per ms
+
+  return {
+    // { ok: true } or { ok: false, retryAfterMs }
+    take(key) {
+      if (!perMin) return { ok: true };
+      const now = Date.now();
+      const b = buckets.get(key) || { tokens: burst, at: now };
+      b.tokens = Math.min(burst, b.tokens + (now - b.at) * rate);
+      b.at = now;
+      buckets.set(key, b);
+      if (b.tokens >= 1) { b.tokens -= 1; return { ok: true }; }
+      return { ok: false, retryAfterMs: Math.ceil((1 - b.tokens) / rate) };
+    },
+    // Buckets that have refilled completely carry no state worth keeping
+    sweep() {
+      const now = Date.now();
+      for (const [key, b] of buckets) if (b.tokens + (now - b.at) * rate >= burst) buckets.delete(key);
+    },
+  };
+}
+
+export function createBreaker({ failures = 5, cooldownMs = 30_000 } = {}) {
+  let state = "closed"; // closed | open | half-open
+  let streak = 0;
+  let openedAt = 0;
+  let probing = false;
+
+  return {
+    get state() { return state; },
+    // Time left before a probe is allowed (0 when calls may go ahead)
+    retryAfterMs: () => (state === "open" ? Math.max(0, openedAt + cooldownMs - Date.now()) : 0),
+    /** May a model call start now? In half-open, only one probe at a time. */
+    allow() {
+      if (state === "open" && Date.now() - openedAt >= cooldownMs) state = "half-open";
+      if (state === "closed") return true;
+      if (state === "half-open" && !probing) { probing = true; return true; }
+      return false;
+    },
+    success() {
+      state = "closed";
+      streak = 0;
+      probing = false;
+    },
+    // Only overload-type errors (429/5xx/unavailable) count; others say nothing about load
+    failure() {
+      probing = false;
+      streak++;
+      if (state === "half-open" || streak >= failures) {
+        state = "open";
+        openedAt = Date.now();
+      }
+    },
+    // A call that ended without an outcome (aborted) frees the probe slot
+    release() { probing = false; },
+  };
+}
@@ -0,0 +1,31 @@
+// log.js — structured logs: one JSON object per line (LOG_FORMAT=text for a terminal)
+//
+// log.info("catalog loaded", { items: 9 }) →
+//   {"ts":"2025-01-01T10:00:00.000Z","level":"info","msg":"catalog loaded","items":9}
+// Warnings and errors go to stderr. Pass session/turn ids as fields so lines can be joined up.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const FORMAT = (process.env.LOG_FORMAT || "json").toLowerCase();
+const MIN_LEVEL = LEVELS[(process.env.LOG_LEVEL || "info").toLowerCase()] ?? LEVELS.info;
+
+const textValue = (v) => (typeof v === "object" ? JSON.stringify(v) : String(v));
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+  const out = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  if (FORMAT === "text") {
+    const kv = Object.entries(fields)
+      .filter(([, v]) => v !== undefined && v !== null && v !== "")
+      .map(([k, v]) => `${k}=${textValue(v)}`);
+    out.write(`${level.toUpperCase()} ${msg}${kv.length ? ` ${kv.join(" ")}` : ""}\n`);
+    return;
+  }
+  out.write(`${JSON.stringify({ ts: new Date().toISOString(), level, msg, ...fields })}\n`);
+}
+
+export const log = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+};
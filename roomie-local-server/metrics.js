@@ -0,0 +1,68 @@
+// metrics.js — minimal Prometheus registry (text exposition format 0.0.4)
+//
+// counter/histogram series are keyed by their label set; gauges read a value from a
+// callback when /metrics is scraped. render() returns the whole page.
+
+const registry = [];
+
+const escapeLabel = (v) => String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+const labelText = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length ? `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}` : "";
+};
+
+function register(type, name, help, extra = {}) {
+  const m = { type, name, help, series: new Map(), ...extra };
+  registry.push(m);
+  return m;
+}
+const seriesOf = (m, labels, init) => {
+  const key = labelText(labels);
+  if (!m.series.has(key)) m.series.set(key, { labels, ...init() });
+  return m.series.get(key);
+};
+
+export function counter(name, help) {
+  const m = register("counter", name, help);
+  return { inc: (labels = {}, n = 1) => { seriesOf(m, labels, () => ({ value: 0 })).value += n; } };
+}
+
+// collect() → number, or [{ labels, value }]
+export function gauge(name, help, collect) {
+  register("gauge", name, help, { collect });
+}
+
+export const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+export function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+  const m = register("histogram", name, help, { buckets });
+  return {
+    observe(labels = {}, value) {
+      const s = seriesOf(m, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((le, i) => { if (value <= le) s.counts[i]++; });
+      s.sum += value;
+      s.count++;
+    },
+  };
+}
+
+const num = (v) => (Number.isFinite(v) ? String(v) : v > 0 ? "+Inf" : "NaN");
+
+export function render() {
+  const lines = [];
+  for (const m of registry) {
+    lines.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`);
+    if (m.type === "gauge") {
+      const v = m.collect();
+      for (const s of Array.isArray(v) ? v : [{ labels: {}, value: v }]) lines.push(`${m.name}${labelText(s.labels)} ${num(s.value)}`);
+      continue;
+    }
+    for (const s of m.series.values()) {
+      if (m.type === "counter") { lines.push(`${m.name}${labelText(s.labels)} ${num(s.value)}`); continue; }
+      m.buckets.forEach((le, i) => lines.push(`${m.name}_bucket${labelText({ ...s.labels, le })} ${s.counts[i]}`));
+      lines.push(`${m.name}_bucket${labelText({ ...s.labels, le: "+Inf" })} ${s.count}`);
+      lines.push(`${m.name}_sum${labelText(s.labels)} ${num(s.sum)}`);
+      lines.push(`${m.name}_count${labelText(s.labels)} ${s.count}`);
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
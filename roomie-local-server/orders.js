@@ -0,0 +1,25 @@
+// orders.js — local order records (one JSON line per order, ORDERS_FILE)
+//
+// Orders are only created by the cart's checkout flow; the file is the record for
+// whoever fulfils them. The server itself never reads it back.
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+
+// "RM-20250814-3F9A2C"
+const newOrderId = () =>
+  `RM-${new Date().toISOString().slice(0, 10).replace(/-/g, "")}-${crypto.randomBytes(3).toString("hex").toUpperCase()}`;
+
+export function createOrderStore(env = process.env) {
+  const file = env.ORDERS_FILE || "./data/orders.jsonl";
+
+  return {
+    // Synchronous append; throws when the record could not be written
+    create({ session_id, lines, subtotal, currency }) {
+      const order = { order_id: newOrderId(), session_id, lines, subtotal, currency, created_at: new Date().toISOString() };
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, JSON.stringify(order) + "\n");
+      return order;
+    },
+  };
+}
@@ -0,0 +1,115 @@
+// profile.js — rolling preference profile per session (session.prefs)
+//
+// History is clamped to a few exchanges, so what the customer told us earlier is kept
+// here instead: budget, room size, styles, liked/disliked materials and colors, rejected
+// items and a short summary of the turns that left the window. Updated from every SPEC,
+// MATSPEC and chat turn; fed to the model as a Context line and used as SPEC defaults.
+
+const MAX_LIST = 8;
+
+// Style words → catalog style tags (en/ru/ka stems)
+const STYLE_CANON = [
+  ["scandi",      ["scandi", "scandinavian", "nordic", "скандинав", "სკანდინავ"]],
+  ["japandi",     ["japandi", "джапанди", "ჯაპანდი"]],
+  ["minimal",     ["minimal", "минимал", "მინიმალ"]],
+  ["mid-century", ["mid-century", "midcentury", "mid century", "середины века"]],
+  ["industrial",  ["industrial", "loft", "лофт", "индустриал", "ინდუსტრიულ"]],
+  ["boho",        ["boho", "бохо", "ბოჰო"]],
+  ["traditional", ["traditional", "classic", "классическ", "კლასიკ"]],
+  ["modern",      ["modern", "contemporary", "современн", "თანამედროვე"]],
+];
+
+// A clause with one of these is a dislike ("no velvet", "не люблю бархат", "ხავერდი არ მინდა")
+const NEGATIVE = /(?<![\p{L}])(?:no|not|don'?t|doesn'?t|without|hate|dislike|avoid|never|нет|не|без|ненавижу|არ|გარეშე|არა)(?![\p{L}])/iu;
+
+const splitClauses = (t) => t.split(/[.;,!?]\s*|\s(?:and|but|или|и|но|და|მაგრამ)\s/iu).filter((c) => c.trim());
+
+// Most recent first, no duplicates, bounded
+const pushRecent = (list = [], values = []) => {
+  const vs = values.filter(Boolean);
+  return [...vs, ...list.filter((v) => !vs.includes(v))].slice(0, MAX_LIST);
+};
+const without = (list = [], values = []) => list.filter((v) => !values.includes(v));
+
+const like = (p, values) => {
+  p.likes = pushRecent(p.likes, values);
+  p.dislikes = without(p.dislikes, values);
+};
+const dislike = (p, values) => {
+  p.dislikes = pushRecent(p.dislikes, values);
+  p.likes = without(p.likes, values);
+};
+
+export const findStyles = (lc) => STYLE_CANON.filter(([, syns]) => syns.some((s) => lc.includes(s))).map(([c]) => c);
+
+/**
+ * Likes/dislikes and styles from free chat text. find.material/find.color map a clause
+ * to a canonical name ("" when none) — the session's vocabulary (config.js).
+ */
+export function noteText(p, text, find) {
+  for (const clause of splitClauses(String(text || "").toLowerCase())) {
+    const looks = [find.material(clause), find.color(clause)].filter(Boolean);
+    const styles = findStyles(clause);
+    if (!looks.length && !styles.length) continue;
+    if (NEGATIVE.test(clause)) {
+      dislike(p, [...looks, ...styles]);
+      p.style = without(p.style, styles);
+    } else {
+      like(p, looks);
+      p.style = pushRecent(p.style, styles);
+    }
+  }
+}
+
+// SPEC set: the customer's constraints (budget for the whole set, room size, style)
+export function noteSpecs(p, specs) {
+  const [first] = specs;
+  if (first.category) p.category = first.category;
+  if (first.style.length) p.style = pushRecent(p.style, first.style.map((s) => String(s).toLowerCase()));
+  if (first.budget_min && specs.length === 1) p.budget_min = first.budget_min;
+  if (first.budget_total) p.budget_max = first.budget_total;
+  if (first.room_w && first.room_len) { p.room_w = first.room_w; p.room_len = first.room_len; }
+}
+
+// Applied material changes are things the customer chose
+export function noteMatSpec(p, matspec) {
+  like(p, matspec.changes.flatMap((c) => [c.material, c.color]));
+  if (matspec.style.length) p.style = pushRecent(p.style, matspec.style);
+}
+
+// Styles seen in a room screenshot fill in after the ones the customer named
+export function noteRoom(p, room) {
+  const seen = room.styles.filter((s) => !(p.style || []).includes(s) && !(p.dislikes || []).includes(s));
+  p.style = [...(p.style || []), ...seen].slice(0, MAX_LIST);
+}
+
+export function noteRejected(p, item) {
+  if (!item?.item_id) return;
+  p.rejected = [{ item_id: item.item_id, name: item.name || "" },
+    ...(p.rejected || []).filter((r) => r.item_id !== item.item_id)].slice(0, MAX_LIST);
+}
+
+/** SPEC defaults for whatever a request leaves open (budgets in the base currency). */
+export const specDefaults = (p) => ({
+  category: p.category || "",
+  style: p.style || [],
+  budget_min: p.budget_min || 0,
+  budget_max: p.budget_max || 0,
+  room_w: p.room_w || 0,
+  room_len: p.room_len || 0,
+  exclude: (p.rejected || []).map((r) => r.item_id),
+});
+
+// One line for the chat context; "" when nothing is known yet
+export function profileSummary(p, money) {
+  const parts = [];
+  if (p.budget_min && p.budget_max) parts.push(`budget ${money(p.budget_min)}–${money(p.budget_max)}`);
+  else if (p.budget_max) parts.push(`budget up to ${money(p.budget_max)}`);
+  else if (p.budget_min) parts.push(`budget from ${money(p.budget_min)}`);
+  if (p.room_w && p.room_len) parts.push(`room ${p.room_w}×${p.room_len} cm`);
+  if (p.style?.length) parts.push(`styles ${p.style.join(", ")}`);
+  if (p.likes?.length) parts.push(`likes ${p.likes.join(", ")}`);
+  if (p.dislikes?.length) parts.push(`dislikes ${p.dislikes.join(", ")}`);
+  if (p.rejected?.length) parts.push(`turned down ${p.rejected.map((r) => r.name || r.item_id).join(", ")}`);
+  return parts.join("; ");
+}
@@ -0,0 +1,174 @@
+// protocol.js — wire formats
+//
+// v1 (default, existing Unreal builds): "TYPE|payload" with flat "key=value;" payloads.
+//   in:  USER|text   SPEC|text   MATSPEC|text   CANCEL|[turn_id]   LAYOUT|{json}   LOCALE|en|ru|ka
+//        CART|action=add;item_id=...;qty=1  (flat, or the v2 JSON body)
+//        CONTROL|{json}  (same body as the v2 message; see controls.js for the events)
+//        (until a socket sends CONTROL, a leading [ITEM_FOCUS ...]/[PLACED ...] tag in USER
+//        text is applied as that control; v2 USER text never carries control tags)
+//        IMAGE|{json}    (same body as the v2 message)
+//        SHARE|   JOIN|code
+//   out: CHUNK|text  FINAL|text  SPEC|flat  MATSPEC|flat  ERROR|code-or-message
+//        QUEUED|position=n   TURN_END|status=final|cancelled|failed   LAYOUT|flat   CART|flat
+//        LAYOUT_REQUEST|  (the model wants a layout check: send LAYOUT)
+//        ROOM_STYLE|styles=...;palette=...;materials=...;items=...;summary=...
+//        (LAYOUT/ROOM_STYLE summary text keeps ";" and "|" backslash-escaped: \; \| \\;
+//        in other fields they become "/")
+//        SESSION|token=...;id=...;resumed=0|1;participant=...;code=...  (only when connecting
+//          with ?session= or ?join=CODE, and after JOIN; a joiner's token is its own and
+//          resumes as that participant)   SHARE|code=...
+//        PARTICIPANTS|participants=[...]   USER_MESSAGE|participant=...;name=...;text=...   FOCUS|flat
+//
+// Access (optional, see auth.js): "Authorization: Bearer <key-or-token>" or ?access_token=
+//   on the upgrade; refused upgrades get HTTP 401/403 and no socket.
+//
+// v2 (negotiated): one JSON object per frame.
+//   Client opens with {"type":"hello","versions":[1,2]} (or "version":2, optionally
+//   "session":"<token>" to resume or "join":"<code>" to join a shared session, "name",
+//   "participant":"<id>" to keep its identity on reconnect, "locale":"en|ru|ka" and
+//   "tenant":"<showroom>" for a tenant's persona/vocabulary, see config.js; v1: ?tenant=);
+//   server answers {"type":"hello","version":2,"session":{...},"tenant":"..."}.
+//   After that every frame is JSON:
+//   in:  {"type":"user"|"spec"|"matspec","text":"...","request_id":"..."}
+//        {"type":"cancel","turn_id":"..."}  (no turn_id: running turn + everything queued)
+//        {"type":"locale","locale":"ka"}
+//        {"type":"layout","room":{"w","len"},"items":[{"id","name","category","x","y","rot","w","d"}]}
+//        {"type":"cart","action":"add|remove|set_qty|clear|checkout|confirm|cancel|order","item_id","qty","reply":true}
+//        {"type":"control","event":"item_focus|focus_clear|preview_shown|placed|replaced|material_changed",...fields}
+//        {"type":"share"}  → {"type":"share","code":"K7QX2M"}   {"type":"join","code":"K7QX2M","name":"Ana"}
+//        {"type":"image","data":"<base64 PNG/JPEG or data: URL>","mime":"image/png","text":"optional question"}
+//          (IMAGE_MAX_BYTES; too big → TOO_LARGE, not PNG/JPEG or no vision model → UNSUPPORTED_MEDIA;
+//          frames over MAX_MESSAGE_BYTES need "type" before or after "data", as serializers write it)
+//   out: {"v":2,"type":"chunk"|"final"|"spec"|"matspec"|"error"|"queued"|"turn_end"|"layout"|"cart"|"layout_request"|"room_style"
+//         |"participants"|"user_message"|"focus",...,"turn_id","request_id","participant"}
+//   Co-shopping: every device on a session gets its turn events; "participant" is whoever
+//   started the turn. user_message/focus go to the other devices only.
+//   SPEC/MATSPEC/CART may also arrive in the middle of a chat turn (the model's tool calls).
+//   A FINAL whose text differs from the streamed chunks (reply guardrail) carries
+//   "corrected":true; clients should show the FINAL text. v1 clients get the same FINAL|text.
+//   RATE_LIMITED (session/global request budget) and SERVICE_UNAVAILABLE from an open model
+//   circuit breaker come right away, with "retry_after_ms" in v2.
+//   SPEC and MATSPEC requests are turns like USER: queued behind a running turn, cancellable,
+//   and ended by turn_end.
+//   request_id is whatever the client sent; turn_id is assigned by the server per turn and
+//   echoed on every event that turn produces. Arrays stay arrays (style, alt_ids, ...).
+
+export const SERVER_NAME = "roomie-gemini-ws";
+export const PROTOCOL_VERSIONS = [1, 2];
+
+// Typed error codes (v1 sends the bare code, or the message for INTERNAL errors)
+export const ERR = {
+  BAD_REQUEST: "BAD_REQUEST",
+  UNKNOWN_TYPE: "UNKNOWN_TYPE",
+  UNSUPPORTED_VERSION: "UNSUPPORTED_VERSION",
+  BUSY: "BUSY",
+  RATE_LIMITED: "RATE_LIMITED",
+  TOO_LARGE: "TOO_LARGE",
+  UNSUPPORTED_MEDIA: "UNSUPPORTED_MEDIA",
+  INVALID_STATE: "INVALID_STATE",
+  SERVICE_UNAVAILABLE: "SERVICE_UNAVAILABLE",
+  INTERNAL: "INTERNAL",
+};
+
+const versions = new WeakMap(); // ws -> negotiated protocol version
+export const protocolVersion = (ws) => versions.get(ws) || 1;
+
+// v1 prefixes → message types
+const V1_IN = [
+  ["USER|", "user"], ["SPEC|", "spec"], ["MATSPEC|", "matspec"], ["CANCEL|", "cancel"],
+  ["LAYOUT|", "layout"], // payload is the same JSON body as the v2 message
+  ["LOCALE|", "locale"],
+  ["CART|", "cart"],
+  ["CONTROL|", "control"], // payload is the same JSON body as the v2 message
+  ["IMAGE|", "image"],     // payload is the same JSON body as the v2 message
+  ["SHARE|", "share"], ["JOIN|", "join"],
+];
+
+// sanitize for flat payload (avoid breaking on ';' or '|')
+export const sanitizeField = (s) => String(s ?? "").replace(/[;|]/g, "/");
+
+// Human-readable text kept as written: "\", ";" and "|" are backslash-escaped
+export const escapeField = (s) => String(s ?? "").replace(/[\\;|]/g, "\\$&");
+
+// v1 quirk kept for existing builds: MATSPEC style tags are "|"-joined (SPEC uses "/")
+const V1_PIPE_ARRAYS = { matspec: ["style"] };
+// Free-text fields shown to the player; escaped rather than sanitized
+const V1_TEXT_FIELDS = { layout: ["summary"], room_style: ["summary"] };
+
+// Object → "k=v;k=v" (v1). Booleans become 1/0, arrays are "/"-joined, nested objects JSON.
+// textKeys are escaped (escapeField) instead.
+export const flatten = (obj, pipeKeys = [], textKeys = []) => Object.entries(obj)
+  .map(([k, v]) => {
+    if (typeof v === "string" && textKeys.includes(k)) return `${k}=${escapeField(v)}`;
+    if (typeof v === "boolean") v = v ? 1 : 0;
+    else if (Array.isArray(v) && pipeKeys.includes(k)) return `${k}=${v.map(sanitizeField).join("|")}`;
+    else if (Array.isArray(v) && v.some((x) => x && typeof x === "object")) v = JSON.stringify(v);
+    else if (Array.isArray(v)) v = v.map(sanitizeField).join("/");
+    else if (v && typeof v === "object") v = JSON.stringify(v);
+    return `${k}=${sanitizeField(v)}`;
+  })
+  .join(";");
+
+// "k=v;k=v" → object (values stay strings); the inverse of flatten for flat inputs
+export const parseFlat = (text) => Object.fromEntries(String(text || "").split(";")
+  .map((kv) => kv.split("="))
+  .filter(([k, v]) => k.trim() && v !== undefined)
+  .map(([k, ...v]) => [k.trim(), v.join("=").trim()]));
+
+const pickVersion = (m) => {
+  const wanted = Array.isArray(m.versions) ? m.versions.map(Number) : [Number(m.version) || 1];
+  const common = wanted.filter((v) => PROTOCOL_VERSIONS.includes(v));
+  return common.length ? Math.max(...common) : 0;
+};
+
+/**
+ * Parse one inbound frame.
+ * Returns { type, text, request_id, data }, { error: {code, message}, request_id }, or null (ignore).
+ * A "hello" frame also switches the socket's protocol version.
+ */
+export function parseMessage(ws, raw) {
+  const trimmed = raw.trimStart();
+
+  if (trimmed.startsWith("{")) {
+    let m = null;
+    try { m = JSON.parse(trimmed); } catch { /* handled below */ }
+    if (!m || typeof m !== "object" || typeof m.type !== "string") {
+      return protocolVersion(ws) >= 2 ? { error: { code: ERR.BAD_REQUEST, message: "Frame is not a JSON message with a type" } } : null;
+    }
+    const request_id = m.request_id != null ? String(m.request_id) : undefined;
+    if (m.type === "hello") {
+      const version = pickVersion(m);
+      if (!version) return { error: { code: ERR.UNSUPPORTED_VERSION, message: `Supported versions: ${PROTOCOL_VERSIONS.join(", ")}` }, request_id, json: true };
+      versions.set(ws, version);
+      return { type: "hello", version, request_id, data: m };
+    }
+    if (protocolVersion(ws) < 2) return null; // JSON before hello: not ours
+    return { type: m.type, text: typeof m.text === "string" ? m.text : "", request_id, data: m };
+  }
+
+  if (protocolVersion(ws) >= 2) return { error: { code: ERR.BAD_REQUEST, message: "Expected a JSON message" } };
+  for (const [prefix, type] of V1_IN) if (raw.startsWith(prefix)) return { type, text: raw.slice(prefix.length) };
+  return null;
+}
+
+/**
+ * Send one event in the socket's protocol.
+ * ctx: { turn_id, request_id } — echoed in v2, ignored in v1.
+ * v1 shapes: chunk/final → text, error → code (or message), everything else → flattened body.
+ */
+export function emit(ws, type, body = {}, ctx = {}, { json = false } = {}) {
+  if (ws.readyState !== ws.OPEN) return;
+  if (json || protocolVersion(ws) >= 2) {
+    const out = { v: protocolVersion(ws), type, ...body };
+    if (ctx.turn_id != null) out.turn_id = ctx.turn_id;
+    if (ctx.request_id != null) out.request_id = ctx.request_id;
+    if (ctx.participant != null) out.participant = ctx.participant;
+    ws.send(JSON.stringify(out));
+    return;
+  }
+  let payload;
+  if (type === "chunk" || type === "final") payload = body.text ?? "";
+  else if (type === "error") payload = body.code === ERR.INTERNAL ? (body.message || body.code) : (body.code || body.message || "");
+  else payload = flatten(body, V1_PIPE_ARRAYS[type], V1_TEXT_FIELDS[type]);
+  ws.send(`${type.toUpperCase()}|${payload}`);
+}
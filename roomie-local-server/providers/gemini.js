@@ -0,0 +1,42 @@
+// providers/gemini.js — Google Gemini via @google/genai
+import { GoogleGenAI } from "@google/genai";
+
+export function createGeminiProvider({ apiKey = process.env.GEMINI_API_KEY } = {}) {
+  const ai = new GoogleGenAI({ apiKey });
+
+  return {
+    name: "gemini",
+    defaultModels: {
+      chat: ["gemini-2.5-flash", "gemini-1.5-flash"],
+      spec: ["gemini-1.5-flash"], // cheaper/lighter for JSON structs
+      vision: ["gemini-2.5-flash", "gemini-1.5-flash"],
+    },
+
+    supportsTools: true,
+
+    async *streamChat({ model, contents, signal, tools }) {
+      const config = { abortSignal: signal };
+      if (tools?.length) {
+        config.tools = [{ functionDeclarations: tools.map(({ name, description, parameters }) => ({ name, description, parametersJsonSchema: parameters })) }];
+      }
+      const stream = await ai.models.generateContentStream({ model, contents, config });
+      for await (const chunk of stream) {
+        for (const part of chunk.candidates?.[0]?.content?.parts || []) {
+          if (part.functionCall) {
+            const { id, name, args } = part.functionCall;
+            yield { call: { id, name, args: args || {} } };
+          } else if (part.text && !part.thought) yield part.text;
+        }
+      }
+    },
+
+    async generateJson({ model, contents, signal }) {
+      const res = await ai.models.generateContent({
+        model,
+        contents,
+        config: { responseMimeType: "application/json", abortSignal: signal },
+      });
+      return res.text || "";
+    },
+  };
+}
@@ -0,0 +1,37 @@
+// providers/index.js — choose the LLM backend per environment
+//
+// Every provider exposes:
+//   name, defaultModels: { chat: [...], spec: [...], vision: [...] }, supportsTools
+//   streamChat({ model, contents, signal, tools }) → async iterable of text pieces, plus
+//     { call: { id, name, args } } items when tools (see tools.js) were offered
+//   generateJson({ model, contents, signal }) → raw JSON text; with a vision model, contents
+//     may carry { inlineData: { mimeType, data: base64 } } image parts (vision: [] = no images)
+// signal is an optional AbortSignal; aborting makes the call throw.
+// contents are Gemini-style [{ role: "user"|"model", parts: [{ text }] }]; tool rounds add
+// { functionCall: { id, name, args } } (model) and { functionResponse: { id, name, response } } (user) parts.
+// A request whose contents carry those parts must offer tools again (the APIs refuse it otherwise).
+import { createGeminiProvider } from "./gemini.js";
+import { createOpenAIProvider } from "./openai.js";
+import { createMockProvider } from "./mock.js";
+
+const FACTORIES = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider,
+};
+
+const modelList = (s) => String(s || "").split(",").map((m) => m.trim()).filter(Boolean);
+
+export function createProvider(env = process.env) {
+  const kind = (env.LLM_PROVIDER || "gemini").toLowerCase();
+  const factory = FACTORIES[kind];
+  if (!factory) throw new Error(`Unknown LLM_PROVIDER "${kind}" (expected ${Object.keys(FACTORIES).join(", ")})`);
+  const provider = factory();
+  // CHAT_MODELS / SPEC_MODELS / VISION_MODELS: comma-separated, first is primary, the rest are fallbacks
+  const models = {
+    chat: modelList(env.CHAT_MODELS).length ? modelList(env.CHAT_MODELS) : provider.defaultModels.chat,
+    spec: modelList(env.SPEC_MODELS).length ? modelList(env.SPEC_MODELS) : provider.defaultModels.spec,
+    vision: modelList(env.VISION_MODELS).length ? modelList(env.VISION_MODELS) : provider.defaultModels.vision || [],
+  };
+  return { provider, models };
+}
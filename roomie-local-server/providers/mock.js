@@ -0,0 +1,74 @@
+// providers/mock.js — deterministic, offline provider that replays canned responses
+//
+// Script file (MOCK_SCRIPT) is a JSON array of entries, tried in order:
+//   { "kind": "chat" | "json", "match": "regex on the last user text", "text": "...", "once": true }
+// "match" is optional; "once" entries are consumed after their first use; chat entries may
+// set "delay_ms" between chunks; json entries may give "json" (an object) instead of "text".
+// Chat entries with "calls": [{ "name", "args" }] answer with those tool calls when tools
+// are offered, then with "text" once the tool results come back. Like the real APIs, a
+// request whose contents carry function parts must declare tools.
+import fs from "node:fs";
+
+const DEFAULT_CHAT = "Happy to help with that. What size is the room you're furnishing?";
+const DEFAULT_JSON = "{}";
+// Room read-out for image requests without a matching json entry
+const DEFAULT_ROOM = JSON.stringify({
+  styles: ["scandi", "minimal"], palette: ["white", "beige", "oak"], materials: ["oak", "linen"],
+  items: ["light gray sofa", "oak coffee table", "white walls"], summary: "A bright Scandinavian living room with light wood and linen.",
+});
+
+// Last user message with text (tool results have none)
+const lastUserText = (contents) => {
+  for (let i = contents.length - 1; i >= 0; i--) {
+    const text = contents[i].role === "user" ? (contents[i].parts || []).map((p) => p.text || "").join("") : "";
+    if (text) return text;
+  }
+  return "";
+};
+const hasImage = (contents) => contents.some((m) => m.parts?.some((p) => p.inlineData));
+const endsWithToolResults = (contents) => !!contents[contents.length - 1]?.parts?.some((p) => p.functionResponse);
+const hasToolParts = (contents) => contents.some((m) => m.parts?.some((p) => p.functionCall || p.functionResponse));
+
+export function createMockProvider({ script = process.env.MOCK_SCRIPT || "", entries = null } = {}) {
+  let rules = entries || [];
+  if (!entries && script) rules = JSON.parse(fs.readFileSync(script, "utf8"));
+
+  const pick = (kind, contents) => {
+    const text = lastUserText(contents);
+    const i = rules.findIndex((r) => (r.kind || "chat") === kind && (!r.match || new RegExp(r.match, "i").test(text)));
+    if (i < 0) return null;
+    const rule = rules[i];
+    if (rule.once) rules = rules.filter((_, j) => j !== i);
+    return rule;
+  };
+
+  return {
+    name: "mock",
+    defaultModels: { chat: ["mock"], spec: ["mock"], vision: ["mock"] },
+    supportsTools: true,
+
+    async *streamChat({ contents, signal, tools }) {
+      if (!tools?.length && hasToolParts(contents)) throw Object.assign(new Error("mock: function parts without tools"), { status: 400 });
+      const rule = pick("chat", contents);
+      if (tools?.length && rule?.calls?.length && !endsWithToolResults(contents)) {
+        signal?.throwIfAborted();
+        for (const [i, c] of rule.calls.entries()) yield { call: { id: `call_${i + 1}`, name: c.name, args: c.args || {} } };
+        return;
+      }
+      const text = rule ? String(rule.text ?? "") : DEFAULT_CHAT;
+      // Word-sized chunks (with an optional per-chunk delay) so clients exercise CHUNK handling
+      for (const piece of text.match(/\S+\s*/g) || []) {
+        if (rule?.delay_ms) await new Promise((r) => setTimeout(r, rule.delay_ms));
+        signal?.throwIfAborted();
+        yield piece;
+      }
+    },
+
+    async generateJson({ contents, signal }) {
+      signal?.throwIfAborted();
+      const rule = pick("json", contents);
+      if (!rule) return hasImage(contents) ? DEFAULT_ROOM : DEFAULT_JSON;
+      return typeof rule.text === "string" ? rule.text : JSON.stringify(rule.json ?? {});
+    },
+  };
+}
@@ -0,0 +1,104 @@
+// providers/openai.js — any OpenAI-compatible /chat/completions server
+// (OpenAI, a local llama.cpp server, Ollama's /v1 endpoint, ...)
+
+// Gemini-style contents → OpenAI messages (tool rounds become tool_calls / "tool" messages)
+const toMessages = (contents) => contents.flatMap((m) => {
+  const parts = m.parts || [];
+  const calls = parts.filter((p) => p.functionCall).map((p) => p.functionCall);
+  const results = parts.filter((p) => p.functionResponse).map((p) => p.functionResponse);
+  if (calls.length) {
+    return [{
+      role: "assistant",
+      content: parts.map((p) => p.text || "").join("") || null,
+      tool_calls: calls.map((c) => ({ id: c.id, type: "function", function: { name: c.name, arguments: JSON.stringify(c.args || {}) } })),
+    }];
+  }
+  if (results.length) return results.map((r) => ({ role: "tool", tool_call_id: r.id, content: JSON.stringify(r.response) }));
+  const role = m.role === "model" ? "assistant" : "user";
+  if (parts.some((p) => p.inlineData)) {
+    return [{
+      role,
+      content: parts.map((p) => (p.inlineData
+        ? { type: "image_url", image_url: { url: `data:${p.inlineData.mimeType};base64,${p.inlineData.data}` } }
+        : { type: "text", text: p.text || "" })),
+    }];
+  }
+  return [{ role, content: parts.map((p) => p.text || "").join("") }];
+});
+
+const httpError = async (res) => {
+  const body = await res.text().catch(() => "");
+  const err = new Error(`HTTP ${res.status} ${body.slice(0, 200)}`.trim());
+  err.status = res.status;
+  return err;
+};
+
+export function createOpenAIProvider({
+  baseUrl = process.env.OPENAI_BASE_URL || "http://localhost:11434/v1",
+  apiKey = process.env.OPENAI_API_KEY || "",
+  chatModel = process.env.OPENAI_CHAT_MODEL || "llama3.1",
+  tools: toolsOn = process.env.OPENAI_TOOLS !== "0", // servers without function calling: OPENAI_TOOLS=0
+  visionModel = process.env.OPENAI_VISION_MODEL || "", // unset = no image input
+} = {}) {
+  const url = baseUrl.replace(/\/+$/, "") + "/chat/completions";
+  const headers = { "Content-Type": "application/json" };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  const post = async (body, signal) => {
+    const res = await fetch(url, { method: "POST", headers, body: JSON.stringify(body), signal });
+    if (!res.ok) throw await httpError(res);
+    return res;
+  };
+
+  return {
+    name: "openai",
+    defaultModels: { chat: [chatModel], spec: [chatModel], vision: visionModel ? [visionModel] : [] },
+    supportsTools: toolsOn,
+
+    async *streamChat({ model, contents, signal, tools }) {
+      const body = { model, messages: toMessages(contents), stream: true };
+      if (tools?.length) {
+        body.tools = tools.map(({ name, description, parameters }) => ({ type: "function", function: { name, description, parameters } }));
+      }
+      const res = await post(body, signal);
+      const decoder = new TextDecoder();
+      const calls = []; // tool calls arrive in fragments, keyed by index
+      let buf = "";
+      read: for await (const bytes of res.body) {
+        buf += decoder.decode(bytes, { stream: true });
+        let nl;
+        while ((nl = buf.indexOf("\n")) >= 0) {
+          const line = buf.slice(0, nl).trim();
+          buf = buf.slice(nl + 1);
+          if (!line.startsWith("data:")) continue;
+          const data = line.slice(5).trim();
+          if (data === "[DONE]") break read;
+          let delta = {};
+          try { delta = JSON.parse(data).choices?.[0]?.delta || {}; } catch { /* keep-alive / partial */ }
+          for (const tc of delta.tool_calls || []) {
+            const c = (calls[tc.index ?? 0] ||= { id: "", name: "", args: "" });
+            if (tc.id) c.id = tc.id;
+            if (tc.function?.name) c.name += tc.function.name;
+            if (tc.function?.arguments) c.args += tc.function.arguments;
+          }
+          if (delta.content) yield delta.content;
+        }
+      }
+      for (const c of calls.filter(Boolean)) {
+        let args = {};
+        try { args = c.args ? JSON.parse(c.args) : {}; } catch { /* malformed arguments → empty */ }
+        yield { call: { id: c.id, name: c.name, args } };
+      }
+    },
+
+    async generateJson({ model, contents, signal }) {
+      const res = await post({
+        model,
+        messages: toMessages(contents),
+        response_format: { type: "json_object" },
+      }, signal);
+      const j = await res.json();
+      return j.choices?.[0]?.message?.content || "";
+    },
+  };
+}
@@ -0,0 +1,52 @@
+// replay.js — run recorded SPEC/MATSPEC inputs through the current rules and show what changed
+//
+//   node replay.js <transcript.jsonl> [--session <id>]
+//
+// Reads a TRANSCRIPT_FILE (transcript.js). Each spec/matspec line carries the model's JSON,
+// the request text and the session state the rules read; no model is called. Uses the same
+// CATALOG_PATH, CURRENCY_RATES_PATH and CONFIG_DIR as the server (env / .env), so catalog
+// and rate changes show up as differences too. Exits 1 when any field changed.
+import "dotenv/config";
+import { loadCatalog } from "./catalog.js";
+import { createConverter, loadRates } from "./currency.js";
+import { loadConfig, DEFAULT_CONFIG_DIR } from "./config.js";
+import { createSpecBuilder } from "./specs.js";
+import { readTranscript, replayEntry } from "./transcript.js";
+
+const args = process.argv.slice(2);
+const at = args.indexOf("--session");
+const only = at >= 0 ? args.splice(at, 2)[1] : "";
+const [file] = args;
+if (!file || (at >= 0 && !only)) {
+  console.error("usage: node replay.js <transcript.jsonl> [--session <id>]");
+  process.exit(1);
+}
+
+const catalog = loadCatalog(process.env.CATALOG_PATH || "");
+const fx = createConverter(loadRates(process.env.CURRENCY_RATES_PATH || ""));
+const dir = process.env.CONFIG_DIR || DEFAULT_CONFIG_DIR;
+const loaded = loadConfig(dir, { models: { chat: [], spec: [], vision: [] } });
+if (loaded.errors) {
+  console.error(`Invalid config in ${dir}:\n  ${loaded.errors.join("\n  ")}`);
+  process.exit(1);
+}
+const lexOf = (tenant) => (loaded.configs.get(tenant || "") || loaded.configs.get("")).lex;
+const { specFromJson, matSpecFromJson } = createSpecBuilder({ catalog, fx });
+
+const show = (v) => (v === undefined ? "—" : JSON.stringify(v));
+
+let checked = 0, changedEntries = 0, changedFields = 0;
+for (const e of readTranscript(file)) {
+  if ((e.kind !== "spec" && e.kind !== "matspec") || !e.llm || !e.out) continue;
+  if (only && e.session !== only) continue;
+  checked++;
+  const diffs = replayEntry(e, { specFromJson, matSpecFromJson }, lexOf(e.tenant));
+  if (!diffs.length) continue;
+  changedEntries++;
+  changedFields += diffs.length;
+  console.log(`session=${e.session} turn=${e.turn_id ?? "—"} ${e.kind} (${e.source || "?"}) ${JSON.stringify((e.user || "").slice(0, 80))}`);
+  for (const [field, a, b] of diffs) console.log(`  ${field}: ${show(a)} → ${show(b)}`);
+}
+
+console.log(`${checked} SPEC/MATSPEC entries replayed, ${changedEntries} changed (${changedFields} fields)`);
+process.exit(changedEntries ? 1 : 0);
@@ -0,0 +1,144 @@
+// sessions.js — conversation state that outlives a single socket
+//
+// A session holds the chat history, focus state and derived preferences. Clients get a
+// token on connect and resume with it (ws://host:port/?session=<token>, or "session" in
+// the v2 hello). Participants who joined with a code (coshop.js) get a token of their
+// own, kept on their participant entry; it stops working once that entry is forgotten. Backends: in-memory with TTL, or the same plus a JSON file so sessions
+// also survive a server restart (SESSION_STORE=memory|file).
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { newCart } from "./cart.js";
+import { log } from "./log.js";
+
+const newToken = () => crypto.randomBytes(18).toString("base64url");
+const newSession = () => ({
+  id: crypto.randomBytes(4).toString("hex"),          // short, safe for logs
+  token: newToken(),                                  // secret, used to resume
+  history: [],          // [{role:'user'|'model', parts:[{text}]}...]
+  focus: { active: false },
+  prefs: {},            // preference profile from SPEC/MATSPEC/chat + summary of old turns (profile.js)
+  cart: newCart(),      // server-side cart + checkout state (cart.js)
+  placed: {},           // item_id -> transform, from PLACED/REPLACED controls
+  room: null,           // style read-out of the last room screenshot (IMAGE)
+  participants: {},     // id -> { name, seen }; shared/share_code once co-shopping (coshop.js)
+  tenant: "",           // showroom whose persona/vocabulary apply (config.js); "" = the base config
+  locale: "en",         // chosen by the client; reply language when a turn has no clear language
+  lang: "",             // language detected on the last turn
+  createdAt: Date.now(),
+  updatedAt: Date.now(),
+});
+
+function createMemoryStore({ ttlMs }) {
+  const byToken = new Map();
+  const guests = new Map(); // participant token -> session token
+  const open = new Map(); // session id -> sockets attached; those sessions never expire
+  const expired = (s) => !open.get(s.id) && Date.now() - s.updatedAt > ttlMs;
+  const guestOf = (s, token) => Object.entries(s.participants || {}).find(([, p]) => p.token === token)?.[0];
+
+  return {
+    byToken,
+    create() {
+      const s = newSession();
+      byToken.set(s.token, s);
+      return s;
+    },
+    // Put back a saved session (file store)
+    restore(s) {
+      byToken.set(s.token, s);
+      for (const p of Object.values(s.participants || {})) if (p.token) guests.set(p.token, s.token);
+    },
+    // By the session's own token or a participant's
+    get(token) {
+      if (!token) return null;
+      const key = byToken.has(token) ? token : guests.get(token);
+      const s = key ? byToken.get(key) : null;
+      if (!s) { guests.delete(token); return null; }
+      if (expired(s)) { this.delete(key); return null; }
+      if (key !== token && !guestOf(s, token)) { guests.delete(token); return null; }
+      return s;
+    },
+    /** The participant a token belongs to ("" for the session's own token). */
+    participantFor: (s, token) => (token === s.token ? "" : guestOf(s, token) || ""),
+    /** Issue (or return) the resume token of a participant on s. */
+    grant(s, participant) {
+      const p = s.participants?.[participant];
+      if (!p) return s.token;
+      if (!p.token) p.token = newToken();
+      guests.set(p.token, s.token);
+      return p.token;
+    },
+    // Mark a session as changed (refreshes TTL; file store also persists)
+    save(s) { s.updatedAt = Date.now(); },
+    // A socket is on s / left it; the TTL counts from when the last one leaves
+    attach(s) { open.set(s.id, (open.get(s.id) || 0) + 1); s.updatedAt = Date.now(); },
+    detach(s) {
+      const n = (open.get(s.id) || 1) - 1;
+      if (n) open.set(s.id, n);
+      else open.delete(s.id);
+      s.updatedAt = Date.now();
+    },
+    delete(token) {
+      const s = byToken.get(token);
+      if (s) {
+        open.delete(s.id);
+        for (const p of Object.values(s.participants || {})) if (p.token) guests.delete(p.token);
+      }
+      byToken.delete(token);
+    },
+    sweep() {
+      let n = 0;
+      for (const [t, s] of byToken) if (expired(s)) { this.delete(t); n++; }
+      return n;
+    },
+  };
+}
+
+function createFileStore({ ttlMs, file }) {
+  const mem = createMemoryStore({ ttlMs });
+  try {
+    const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+    for (const s of saved) if (s?.token) mem.restore(s);
+    const dropped = mem.sweep();
+    log.info("sessions: restored", { file, sessions: mem.byToken.size, expired: dropped });
+  } catch (err) {
+    if (err.code !== "ENOENT") log.error("sessions: could not read", { file, error: err.message });
+  }
+
+  // Debounced whole-file write (tmp + rename so a crash never leaves half a file)
+  let timer = null;
+  const flush = () => {
+    timer = null;
+    const tmp = `${file}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(tmp, JSON.stringify([...mem.byToken.values()]));
+      fs.renameSync(tmp, file);
+    } catch (err) {
+      log.error("sessions: could not write", { file, error: err.message });
+    }
+  };
+  const schedule = () => { if (!timer) timer = setTimeout(flush, 500); };
+
+  return {
+    ...mem,
+    create() { const s = mem.create(); schedule(); return s; },
+    save(s) { mem.save(s); schedule(); },
+    grant(s, participant) { const t = mem.grant(s, participant); schedule(); return t; },
+    detach(s) { mem.detach(s); schedule(); },
+    delete(token) { mem.delete(token); schedule(); },
+    sweep() { const n = mem.sweep(); if (n) schedule(); return n; },
+    flush() { if (timer) { clearTimeout(timer); flush(); } },
+  };
+}
+
+export function createSessionStore(env = process.env) {
+  const ttlMs = (Number(env.SESSION_TTL_MIN) || 120) * 60_000;
+  const kind = (env.SESSION_STORE || "memory").toLowerCase();
+  const store = kind === "file"
+    ? createFileStore({ ttlMs, file: env.SESSION_FILE || "./data/sessions.json" })
+    : createMemoryStore({ ttlMs });
+  if (!store.flush) store.flush = () => {};
+  setInterval(() => store.sweep(), 60_000).unref();
+  return store;
+}
@@ -0,0 +1,405 @@
+// specs.js — SPEC/MATSPEC rules over the model's JSON
+//
+// The deterministic half of the builders: heuristics fill what the model left out, sizes
+// and budgets parsed from the text win, the preference profile supplies defaults, and
+// material changes are fitted to the focused item's slots. The model calls stay in
+// index.js, so recorded model output can be run through the current rules (replay.js).
+// lex is the session's vocabulary (config.js).
+import { searchCatalog } from "./catalog.js";
+import { extractDimensions, withoutLengths } from "./dimensions.js";
+import { LOCALE_RULES, normalizeBudgetPhrases } from "./lexicons.js";
+import { detectCurrency, formatMoney } from "./currency.js";
+import { specDefaults } from "./profile.js";
+
+// --- Heuristics for SPEC backups (manual, predictable) ---
+// Vocabulary tables are [[canon, [synonyms]]] (config.js)
+const inferCategory = (txt, lex) => {
+  for (const [cat, syns] of lex.categories) {
+    if (txt.includes(cat)) return cat;
+    for (const syn of syns) if (txt.includes(syn)) return cat;
+  }
+  return "";
+};
+// All categories mentioned, in text order ("a sofa and a rug" → ["sofa","rug"]).
+// Longer terms claim their span first so "armchair" is not also a "chair".
+const inferCategories = (txt, lex) => {
+  const hits = [];
+  for (const [cat, syns] of lex.categories) {
+    for (const term of [cat, ...syns]) {
+      // Latin terms may take a plural "s"; ru/ka stems take any inflection
+      const tail = /[a-z]$/.test(term) ? "s?" : "\\p{L}*";
+      const re = new RegExp(`(?<![\\p{L}\\p{N}])${term.replace(/[-]/g, "[- ]")}${tail}(?![\\p{L}\\p{N}])`, "gu");
+      for (const m of txt.matchAll(re)) hits.push({ cat, at: m.index, end: m.index + m[0].length });
+    }
+  }
+  hits.sort((a, b) => (b.end - b.at) - (a.end - a.at));
+  const claimed = [];
+  for (const h of hits) if (!claimed.some((c) => h.at < c.end && c.at < h.end)) claimed.push(h);
+  claimed.sort((a, b) => a.at - b.at);
+  return [...new Set(claimed.map((h) => h.cat))];
+};
+const inferIntent = (txt, lex) => lex.intent.some((w) => txt.includes(w));
+
+// Treat these as info/comparison/logistics → do NOT auto-suggest
+const brandInfoLike = (t) =>
+  /\b(tell me about|what sets|what makes|how.*different|compare|comparison|pros|cons|policy|return|warranty|delivery|shipping|lead\s*time|availability)\b/i.test(t) ||
+  Object.values(LOCALE_RULES).some((rules) => rules.brandInfo.test(t));
+
+// Size-ish hints (loosely)
+const hasSizeHints = (t) =>
+  /\b(width|length|depth|height|cm|mm|\d{2,3}\s*x\s*\d{2,3})\b/i.test(t);
+
+// --- Intent helpers (server-side) ---
+const containsAny = (hay, arr) => arr.some((w) => hay.includes(w));
+export const isMaterialIntent = (lc, lex) => containsAny(lc, lex.material);
+export const isReplaceIntent  = (lc, lex) => containsAny(lc, lex.replaceStrong) ||
+                                           (containsAny(` ${lc} `, lex.thisWords) && containsAny(lc, lex.replaceSoft));
+
+// --- Helpers: numeric normalization ---
+function toNumberLoose(x) {
+  if (typeof x === "number") return x;
+  if (typeof x !== "string") return 0;
+  let s = x.trim().toLowerCase();
+  s = s.replace(/gel|usd|eur|gbp|try|aud|cad|inr|jpy|cny|rmb|yuan|yen|tl|lira|dollars?|bucks?|quid|₾|\$|€|£|¥|₹|₺|₽|₩/g, "");
+  s = s.replace(/,/g, "").replace(/\s+/g, "");
+  if (s.endsWith("k")) s = String(parseFloat(s) * 1000);
+  const v = parseFloat(s);
+  return Number.isFinite(v) ? v : 0;
+}
+// Numbers with a length unit are sizes ("sofa under 200 cm"), never a budget
+export function extractBudget(text) {
+  const raw = normalizeBudgetPhrases(withoutLengths(String(text || "").toLowerCase().replace(/×/g, "x"))).replace(/[—–]/g, "-");
+  let t = raw.replace(/gel|usd|eur|gbp|try|aud|cad|inr|jpy|cny|rmb|yuan|yen|tl|lira|dollars?|bucks?|quid|₾|\$|€|£|¥|₹|₺|₽|₩/g, "")
+             .replace(/,/g, "").replace(/\s+/g, " ").trim();
+  t = t.replace(/(\d)\s+(?=\d)/g, "$1");
+  const num = "([0-9]*\\.?[0-9]+k?)", money="(?:budget|price|cost|amount|spend|limit|cap)", optIs="(?:is|=|:)\\s*";
+  const toN=(s)=>{let v=s; if(v.endsWith("k")) v=String(parseFloat(v)*1000); const f=parseFloat(v); return Number.isFinite(f)?f:0;};
+  let m;
+  m = t.match(new RegExp(`(?:between|from)\\s+${num}\\s*(?:to|and|-)\\s*${num}`,"i")); if (m) return {min:toN(m[1]),max:toN(m[2])};
+  m = t.match(new RegExp(`${num}\\s*[-–]\\s*${num}`));                            if (m) return {min:toN(m[1]),max:toN(m[2])};
+  m = t.match(new RegExp(`(?:min(?:imum)?|at\\s*least|>=|more\\s*than|no\\s*less\\s*than)\\s*(?:${money}\\s*)?(?:${optIs})?(?:of\\s*)?${num}`,"i"));
+  if (m) return {min:toN(m[1]),max:0};
+  m = t.match(new RegExp(`(?:max(?:imum)?|under|below|up\\s*to|upto|<=|less\\s*than|no\\s*more\\s*than|at\\s*most|cap(?:ped)?(?:\\s*at)?)\\s*(?:${money}\\s*)?(?:${optIs})?(?:of\\s*)?${num}`,"i"));
+  if (m) return {min:0,max:toN(m[1])};
+  m = t.match(new RegExp(`${num}\\s*(?:min(?:imum)?|at\\s*least|or\\s*more|\\+|and\\s*up)`,"i"));
+  if (m) return {min:toN(m[1]),max:0};
+  m = t.match(new RegExp(`${num}\\s*(?:max(?:imum)?|or\\s*less|up\\s*to|at\\s*most|cap(?:ped)?(?:\\s*at)?)`,"i"));
+  if (m) return {min:0,max:toN(m[1])};
+  m = t.match(new RegExp(`(?:${money})\\s*(?:${optIs})?(?:of\\s*)?${num}`,"i"));  if (m) return {min:0,max:toN(m[1])};
+  m = t.match(new RegExp(`(?:around|about|~)\\s*${num}`,"i"));                   if (m) return {min:0,max:toN(m[1])};
+  return null;
+}
+
+// ----------------- MATSPEC rules -----------------
+// Materials (lex.slots), colors, finishes and parts come from the vocabulary; an item's
+// material_slots name some of the parts ("fabric" → upholstery)
+// What may go where: textiles only on soft parts, wood/metal/stone only on hard ones
+const SOFT_MATERIALS = ["fabric","leather","linen","velvet","wool","cotton"];
+const SOFT_PARTS = ["upholstery","cushions","blanket"];
+const HARD_PARTS = ["legs","base","frame","top","handles","doors"];
+const HARD_FINISHES = ["brushed","oiled","stained","lacquered","powdercoated","anodized","plated"];
+const MATERIAL_HINTS = /\b(material|fabric|textile|leather|linen|velvet|wool|cotton|wood|oak|walnut|ash|veneer|metal|brass|chrome|steel|iron|aluminum|glass|marble|stone|ceramic|rattan|wicker|finish|color|colour|stain|paint|lacquer|matte|satin|gloss|brushed|oiled|powder|anodized|plated)\b/i;
+export const stripLeadingTag = (s) => String(s||"").replace(/^\[[^\]]+\]\s*/, "");
+export const findCanon = (lc, table) => {
+  for (const [canon, syns] of table) for (const s of syns) if (lc.includes(s)) return canon;
+  return "";
+};
+
+// Part words match at a word start only ("leg" must not hit "elegant"); stems may inflect.
+// Compiled once per vocabulary (a config reload brings a new one).
+const partResCache = new WeakMap();
+const partRes = (lex) => {
+  if (!partResCache.has(lex)) {
+    partResCache.set(lex, lex.parts.map(([canon, syns]) => [canon, new RegExp(`(?<![\\p{L}])(?:${syns.join("|")})`, "gu")]));
+  }
+  return partResCache.get(lex);
+};
+const findPart = (lc, lex) => partRes(lex).find(([, re]) => lc.search(re) >= 0)?.[0] || "";
+// Slot or model-given part name → canonical part (unknown names stay as they are)
+const canonPart = (name, lex) => lex.parts.find(([c, syns]) => c === name || syns.includes(name))?.[0] || name;
+
+// "make the frame walnut and the cushions sage velvet" → one change per part. A part
+// without a look borrows the next one ("legs and frame in oak"); a look without a part
+// fills gaps in the previous change ("frame walnut, matte").
+function partChanges(lc, lex) {
+  const out = [];
+  let pending = [];
+  for (const clause of lc.split(/[,;]|\s(?:and|but|while|и|а|და)\s/u)) {
+    const part = findPart(clause, lex);
+    const rest = part ? clause.replace(partRes(lex).find(([c]) => c === part)[1], " ") : clause;
+    const look = { material: findCanon(rest, lex.slots), color: findCanon(rest, lex.colors), finish: findCanon(rest, lex.finishes) };
+    if (part) pending.push(part);
+    if (!look.material && !look.color && !look.finish) continue;
+    if (!pending.length && out.length) {
+      const last = out[out.length - 1];
+      for (const k of Object.keys(look)) last[k] ||= look[k];
+      continue;
+    }
+    for (const p of pending.length ? pending : [""]) out.push({ part: p, ...look });
+    pending = [];
+  }
+  return out;
+}
+
+const suitsPart = (c, part) => {
+  if (c.material && HARD_PARTS.includes(part) && SOFT_MATERIALS.includes(c.material)) return false;
+  if (c.material && SOFT_PARTS.includes(part) && !SOFT_MATERIALS.includes(c.material)) return false;
+  if (c.finish && SOFT_PARTS.includes(part) && HARD_FINISHES.includes(c.finish)) return false;
+  return true;
+};
+
+// Map changes onto the focused item's material slots (listed main slot first). No slots
+// known → nothing to check against. A change without a part goes to the first slot it suits.
+function fitToSlots(changes, slots, lex) {
+  if (!slots.length) return { applied: changes, rejected: [] };
+  const applied = [], rejected = [];
+  for (const c of changes) {
+    const slot = c.part
+      ? slots.find((s) => s === c.part || canonPart(s, lex) === c.part)
+      : slots.find((s) => suitsPart(c, canonPart(s, lex)));
+    if (!slot) rejected.push({ ...c, reason: c.part ? "no_such_part" : "unsupported", options: slots });
+    else if (!suitsPart(c, canonPart(slot, lex))) rejected.push({ ...c, part: slot, reason: "unsupported", options: slots });
+    else applied.push({ ...c, part: slot });
+  }
+  return { applied, rejected };
+}
+
+// MATSPEC rules over the model's JSON (from generateJson or an apply_material tool call)
+function matSpecFromJson(spec, user, focus, lex) {
+  const slots = Array.isArray(focus.material_slots) ? focus.material_slots : [];
+  const lc = stripLeadingTag(user).toLowerCase();
+  let slot   = String(spec.slot   || "").toLowerCase().trim();
+  let color  = String(spec.color  || "").toLowerCase().trim();
+  let finish = String(spec.finish || "").toLowerCase().trim();
+  if (!slot)   slot   = findCanon(lc, lex.slots);
+  if (!color)  color  = findCanon(lc, lex.colors);
+  if (!finish) finish = findCanon(lc, lex.finishes);
+
+  const styleArr = Array.isArray(spec.style_tags) ? spec.style_tags : (spec.style_tags ? [spec.style_tags] : []);
+  const style = styleArr.map((s)=>String(s).toLowerCase());
+
+  // Per-part changes: what the text names first, the model's list fills the gaps
+  const str = (v) => String(v || "").toLowerCase().trim();
+  const changes = partChanges(lc, lex);
+  const llmChanges = Array.isArray(spec.changes) ? spec.changes.filter((c) => c && typeof c === "object") : [];
+  for (const c of llmChanges) {
+    const look = { part: canonPart(str(c.part), lex), material: str(c.material || c.slot), color: str(c.color), finish: str(c.finish) };
+    if (!look.material && !look.color && !look.finish) continue;
+    const same = changes.find((d) => d.part === look.part);
+    if (same) for (const k of ["material", "color", "finish"]) same[k] ||= look[k];
+    else changes.push(look);
+  }
+  if (!changes.length && (slot || color || finish)) changes.push({ part: "", material: slot, color, finish });
+
+  const { applied, rejected } = fitToSlots(changes, slots, lex);
+  const apply = applied.length > 0 ||
+    (!changes.length && ((typeof spec.apply === "boolean" ? spec.apply : false) || MATERIAL_HINTS.test(lc)));
+  const [first = {}] = applied;
+
+  const matspec = {
+    apply,
+    slot: first.material || "", color: first.color || "", finish: first.finish || "",
+    style,
+    item_id: focus.item_id || "",
+    changes: applied,
+    rejected,
+  };
+  const unsupported = rejected.length
+    ? `[MATERIAL_UNSUPPORTED ${rejected.map((r) => `part=${r.part || "-"} ${[r.material, r.color, r.finish].filter(Boolean).join(" ")} reason=${r.reason} options=${r.options.join("/")}`).join("; ")}]`
+    : "";
+  return { matspec, unsupported };
+}
+
+// ----------------- SPEC rules -----------------
+/**
+ * catalog: loaded items (catalog.js); fx: currency converter (currency.js).
+ * specFromJson returns { specs, noMatch } — one spec per requested item, keys in v1 flat
+ * order; noMatch is a [CATALOG_NO_MATCH ...] tag when nothing fits a suggest=1 spec.
+ * matSpecFromJson returns { matspec, unsupported } — one change per targeted part, and a
+ * [MATERIAL_UNSUPPORTED ...] tag for the changes the focused item can't take.
+ */
+export function createSpecBuilder({ catalog, fx }) {
+  // SPEC rules over the model's JSON (from generateJson or a search_catalog tool call):
+  // heuristics fill gaps, parsed sizes/budgets win, the profile supplies defaults.
+  // json itself is left as it came (transcripts record it for replay).
+  function specFromJson(json, user, prefs, lex) {
+    const spec = { ...json };
+    const lower = user.toLowerCase();
+    if (typeof spec.suggest !== "boolean") spec.suggest = false;
+    if (typeof spec.category !== "string") spec.category = "";
+
+    const catGuess = inferCategory(lower, lex);
+    const intentGuess = inferIntent(lower, lex);
+    const budgetGuess = !!extractBudget(user);
+    const dims = extractDimensions(stripLeadingTag(user));
+    const sizeGuess = hasSizeHints(user) || !!dims;
+    const brandInfo = brandInfoLike(user);
+
+    if (!spec.category && catGuess) spec.category = catGuess;
+    // Open fields fall back to the session's preference profile
+    const defaults = specDefaults(prefs);
+    if (!spec.category) spec.category = defaults.category;
+
+    const hasConstraint = budgetGuess || sizeGuess;
+    const hasCategory = !!(spec.category || catGuess);
+    if (brandInfo) spec.suggest = false;
+    else if (!spec.suggest && (intentGuess || (hasConstraint && hasCategory))) spec.suggest = true;
+
+    let styleArr = Array.isArray(spec.style_tags) ? spec.style_tags : (spec.style_tags ? [spec.style_tags] : []);
+    if (!styleArr.length) styleArr = defaults.style;
+    let budget_min = 0, budget_max = 0;
+    if (spec.budget_min != null) budget_min = toNumberLoose(spec.budget_min);
+    if (spec.budget_max != null) budget_max = toNumberLoose(spec.budget_max);
+
+    const ext = extractBudget(user);
+    if (ext) {
+      if (!budget_min && ext.min) budget_min = ext.min;
+      if (!budget_max && ext.max) budget_max = ext.max;
+    }
+    if (spec.budget && (spec.budget.min != null || spec.budget.max != null)) {
+      if (!budget_min && spec.budget.min != null) budget_min = toNumberLoose(spec.budget.min);
+      if (!budget_max && spec.budget.max != null) budget_max = toNumberLoose(spec.budget.max);
+    }
+
+    budget_min = Math.max(0, budget_min);
+    budget_max = Math.max(0, budget_max);
+    if (budget_min && budget_max && budget_min > budget_max) {
+      const tmp = budget_min; budget_min = budget_max; budget_max = tmp;
+    }
+
+    // Sizes: what the user literally wrote (parsed, in cm) wins over the model's guess
+    const max_len = dims?.max_len || Number(spec.max_depth_cm || spec.max_length_cm || 0);
+    const max_w   = dims?.max_w   || Number(spec.max_width_cm  || 0);
+    const max_h   = dims?.max_h   || Number(spec.max_height_cm || 0);
+    const room_w   = dims?.room_w   || defaults.room_w;
+    const room_len = dims?.room_len || defaults.room_len;
+
+    // One spec per requested piece; a compound request ("a sofa and a rug") gets several
+    const base = { style: styleArr.map(String), budget_min, budget_max, max_len, max_w, max_h };
+    const llmItems = Array.isArray(spec.items) ? spec.items.filter((it) => it && typeof it.category === "string" && it.category) : [];
+    const cats = [...new Set([...inferCategories(lower, lex), ...llmItems.map((it) => it.category.toLowerCase())])];
+    const items = cats.length > 1
+      ? planItems(stripLeadingTag(user), cats, llmItems, base, lex)
+      : [{ category: spec.category, ...base }];
+
+    // Budgets are in whatever currency the user wrote; the catalog is priced in the base one
+    const written = detectCurrency(user);
+    const currency = fx.supports(written) ? written : fx.base;
+    for (const item of items) {
+      item.budget_min_orig = item.budget_min;
+      item.budget_max_orig = item.budget_max;
+      item.budget_min = fx.toBase(item.budget_min, currency);
+      item.budget_max = fx.toBase(item.budget_max, currency);
+    }
+    // No budget given at all: the profile's (already in the base currency)
+    if (items.length === 1 && !items[0].budget_min && !items[0].budget_max) {
+      items[0].budget_min = defaults.budget_min;
+      items[0].budget_max = defaults.budget_max;
+    }
+
+    const specs = [], misses = [];
+    for (const [i, item] of items.entries()) {
+      // Catalog pick (only when we are actually suggesting something)
+      let choice = null, alternates = [];
+      if (spec.suggest && item.category && catalog.length) {
+        const res = searchCatalog(catalog, {
+          ...item, style: item.style.map((s) => String(s).toLowerCase()), room_w, room_len, exclude: defaults.exclude,
+        });
+        choice = res.choice;
+        alternates = res.alternates;
+        if (!choice) misses.push(`category=${item.category} blocking=${res.blocking}`);
+      }
+      specs.push({
+        suggest: !!spec.suggest,
+        category: item.category,
+        style: item.style,
+        budget_min: item.budget_min, budget_max: item.budget_max,
+        max_len: item.max_len, max_w: item.max_w, max_h: item.max_h,
+        choice_id: choice?.id || "",
+        choice_name: choice?.name || "",
+        alt_ids: alternates.map((a) => a.id),
+        room_w, room_len,
+        item_index: i,
+        item_count: items.length,
+        budget_total: items.length > 1 ? items.reduce((t, it) => t + it.budget_max, 0) : item.budget_max,
+        currency,
+        base_currency: fx.base,
+        budget_min_orig: item.budget_min_orig,
+        budget_max_orig: item.budget_max_orig,
+        // "≈ ₾1,350" when converted from another currency, "₾1,350" otherwise
+        budget_display: !item.budget_max ? "" : (currency === fx.base ? "" : "≈ ") + formatMoney(item.budget_max, fx.base),
+      });
+    }
+
+    return { specs, noMatch: misses.length ? `[CATALOG_NO_MATCH ${misses.join("; ")}]` : "" };
+  }
+
+  return { specFromJson, matSpecFromJson };
+}
+
+// --- Compound requests: per-item constraints + budget split ---
+// Rough share of a shared budget per category (only the ratios matter)
+const BUDGET_WEIGHTS = {
+  sofa: 5, bed: 5, "dining-table": 4, wardrobe: 4, sideboard: 3, armchair: 3, desk: 3,
+  "tv-stand": 2, shelving: 2, rug: 2, "coffee-table": 2, chair: 1, nightstand: 1, lamp: 1,
+};
+
+/**
+ * Split pool by weights in steps of 10 (steps of 1 when the pool can't give every item 10),
+ * largest remainder after one step each, so every share is a real cap: searchCatalog reads 0
+ * as "no limit". What doesn't divide into steps goes to the last share, and the shares add up
+ * to pool. A pool smaller than the item count caps every item at the whole pool.
+ */
+export function splitBudget(pool, weights) {
+  const n = weights.length;
+  if (pool < n) return weights.map(() => pool);
+  const unit = pool >= 10 * n ? 10 : 1;
+  const steps = Math.floor(pool / unit);
+  const totalW = weights.reduce((t, w) => t + w, 0);
+  const exact = weights.map((w) => ((steps - n) * w) / totalW);
+  const shares = exact.map((x) => 1 + Math.floor(x));
+  let spare = steps - shares.reduce((t, k) => t + k, 0);
+  const byRemainder = exact.map((x, i) => [x - Math.floor(x), i]).sort((a, b) => b[0] - a[0]);
+  for (const [, i] of byRemainder) if (spare-- > 0) shares[i]++;
+  const out = shares.map((k) => k * unit);
+  out[n - 1] += pool - steps * unit;
+  return out;
+}
+const splitClauses = (t) => t.split(/[.;,!?]\s+|\s+(?:and|plus|&|и|და)\s+(?!\d)/i).map((c) => c.trim()).filter(Boolean);
+
+// Clauses naming exactly one category set that item's budget/size; the rest are shared.
+// A shared budget (or, failing that, the overall one) is split across items without
+// their own figure by BUDGET_WEIGHTS (splitBudget).
+function planItems(text, cats, llmItems, base, lex) {
+  const clauses = splitClauses(text).map((c) => ({ text: c, cats: inferCategories(c.toLowerCase(), lex) }));
+  const sharedText = clauses.filter((c) => c.cats.length !== 1).map((c) => c.text).join(". ");
+
+  const items = cats.map((category) => {
+    const llm = llmItems.find((it) => it.category.toLowerCase() === category) || {};
+    const own = clauses.filter((c) => c.cats.length === 1 && c.cats[0] === category).map((c) => c.text).join(". ");
+    const b = own ? extractBudget(own) : null;
+    const d = own ? extractDimensions(own) : null;
+    const style = Array.isArray(llm.style_tags) && llm.style_tags.length ? llm.style_tags.map(String) : base.style;
+    return {
+      category, style,
+      budget_min: b?.min || toNumberLoose(llm.budget_min ?? 0),
+      budget_max: b?.max || toNumberLoose(llm.budget_max ?? 0),
+      max_len: d?.max_len || Number(llm.max_depth_cm || llm.max_length_cm || 0),
+      max_w:   d?.max_w   || Number(llm.max_width_cm  || 0),
+      max_h:   d?.max_h   || Number(llm.max_height_cm || 0),
+    };
+  });
+
+  const ownMax = items.reduce((t, it) => t + it.budget_max, 0);
+  const shared = extractBudget(sharedText) || (ownMax ? null : { min: base.budget_min, max: base.budget_max });
+  const open = items.filter((it) => !it.budget_max);
+  if (shared && open.length) {
+    const weights = open.map((it) => BUDGET_WEIGHTS[it.category] || 2);
+    for (const key of ["budget_min", "budget_max"]) {
+      const pool = Math.max(0, (key === "budget_max" ? shared.max - ownMax : shared.min) || 0);
+      if (!pool) continue;
+      splitBudget(pool, weights).forEach((share, i) => { open[i][key] = share; });
+    }
+  }
+  return items;
+}
@@ -0,0 +1,109 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { newCart, applyCartAction, cartView, cartSummary } from "../cart.js";
+import { createOrderStore } from "../orders.js";
+
+const catalog = [
+  { id: "Sofa002", name: "Beddinge Blue Sofa", category: "sofa", price: 1190 },
+  { id: "Rug001", name: "Oslo Rug", category: "rug", price: 300 },
+];
+const lines = (cart) => cart.lines.map((l) => [l.item_id, l.qty]);
+
+test("editing the cart", async (t) => {
+  const cases = [
+    // [actions, lines after, error of the last action]
+    [[{ action: "add", item_id: "Sofa002" }], [["Sofa002", 1]], undefined],
+    [[{ action: "add", item_id: "Sofa002", qty: 2 }, { action: "add", item_id: "Sofa002", qty: 98 }], [["Sofa002", 99]], undefined],
+    [[{ action: "add", item_id: "Sofa002", name: "Cheap", price: 1 }], [["Sofa002", 1]], undefined],
+    [[{ action: "add", item_id: "Rug001" }, { action: "set_qty", item_id: "Rug001", qty: "3" }], [["Rug001", 3]], undefined],
+    [[{ action: "add", item_id: "Rug001" }, { action: "set_qty", item_id: "Rug001", qty: 0 }], [], undefined],
+    [[{ action: "add", item_id: "Rug001" }, { action: "remove", item_id: "Rug001" }], [], undefined],
+    [[{ action: "add", item_id: "Rug001" }, { action: "clear" }], [], undefined],
+    [[{ action: "add", item_id: "Nope" }], [], 'Unknown item "Nope"'],
+    [[{ action: "add" }], [], "item_id is required"],
+    [[{ action: "add", item_id: "Rug001", qty: 1.5 }], [], "qty must be a whole number from 0 to 99"],
+    [[{ action: "set_qty", item_id: "Rug001", qty: 2 }], [], '"Rug001" is not in the cart'],
+    [[{ action: "remove", item_id: "Rug001" }], [], '"Rug001" is not in the cart'],
+    [[{ action: "paint" }], [], 'Unknown cart action "paint" (add, remove, set_qty, clear, checkout, confirm, cancel, order)'],
+  ];
+  for (const [actions, want, error] of cases) {
+    await t.test(actions.map((a) => a.action).join(" → "), () => {
+      const cart = newCart();
+      let res;
+      for (const a of actions) res = applyCartAction(cart, a, { catalog });
+      assert.deepEqual(lines(cart), want);
+      assert.equal(res.error, error);
+      assert.equal(cart.lines.find((l) => l.item_id === "Sofa002")?.price ?? 1190, 1190);
+    });
+  }
+});
+
+test("without a catalog the client's name and price are used", () => {
+  const cart = newCart();
+  assert.deepEqual(applyCartAction(cart, { action: "add", item_id: "X1" }), { error: "price is required when no catalog is loaded" });
+  assert.deepEqual(applyCartAction(cart, { action: "add", item_id: "X1", name: "Stool", category: "Stool", price: "45" }), {});
+  assert.deepEqual(cart.lines, [{ item_id: "X1", name: "Stool", category: "stool", price: 45, qty: 1 }]);
+});
+
+test("checkout states", () => {
+  const cart = newCart();
+  const placed = [];
+  const opts = { catalog, placeOrder: (c) => { placed.push(lines(c)); return "RM-1"; } };
+  const act = (action, extra = {}) => applyCartAction(cart, { action, ...extra }, opts);
+
+  assert.deepEqual(act("checkout"), { error: "The cart is empty" });
+  assert.deepEqual(act("order"), { error: "Cannot order while the cart is browsing", stateError: true });
+  act("add", { item_id: "Sofa002" });
+  assert.deepEqual(act("checkout"), {});
+  assert.deepEqual(act("add", { item_id: "Rug001" }), { error: "The cart is locked during checkout; cancel it first", stateError: true });
+  assert.deepEqual(act("cancel"), {});
+  assert.equal(cart.state, "browsing");
+  act("checkout");
+  act("confirm");
+  assert.deepEqual(act("order"), {});
+  assert.deepEqual([cart.state, cart.order_id, placed], ["ordered", "RM-1", [[["Sofa002", 1]]]]);
+  // editing after an order starts a fresh cart
+  act("add", { item_id: "Rug001" });
+  assert.deepEqual([cart.state, cart.order_id, lines(cart)], ["browsing", "", [["Rug001", 1]]]);
+});
+
+test("a failed order write leaves the cart confirmed", () => {
+  const cart = newCart();
+  const opts = { catalog, placeOrder: () => { throw new Error("disk full"); } };
+  applyCartAction(cart, { action: "add", item_id: "Rug001" }, opts);
+  for (const action of ["checkout", "confirm"]) applyCartAction(cart, { action }, opts);
+  assert.throws(() => applyCartAction(cart, { action: "order" }, opts), /disk full/);
+  assert.equal(cart.state, "confirmed");
+});
+
+test("cart view and summary", () => {
+  const cart = newCart();
+  assert.equal(cartSummary(cart, { currency: "GEL" }), "empty");
+  applyCartAction(cart, { action: "add", item_id: "Sofa002" }, { catalog });
+  applyCartAction(cart, { action: "add", item_id: "Rug001", qty: 2 }, { catalog });
+  const view = cartView(cart, { budget: 1500, currency: "GEL" });
+  assert.deepEqual([view.count, view.subtotal, view.remaining, view.over_budget], [3, 1790, -290, true]);
+  assert.equal(cartSummary(cart, { budget: 1500, currency: "GEL" }),
+    "3 items, subtotal ₾1,790; over the ₾1,500 budget by ₾290; Beddinge Blue Sofa ×1 ₾1,190, Oslo Rug ×2 ₾600; checkout state: browsing");
+  assert.equal(cartSummary(cart, { budget: 2000, currency: "GEL" }).split("; ")[1], "₾210 left of the ₾2,000 budget");
+});
+
+test("orders are appended to ORDERS_FILE", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "orders-"));
+  try {
+    const file = path.join(dir, "data", "orders.jsonl");
+    const orders = createOrderStore({ ORDERS_FILE: file });
+    const a = orders.create({ session_id: "s1", lines: [{ item_id: "Rug001", qty: 1 }], subtotal: 300, currency: "GEL" });
+    const b = orders.create({ session_id: "s1", lines: [], subtotal: 0, currency: "GEL" });
+    assert.match(a.order_id, /^RM-\d{8}-[0-9A-F]{6}$/);
+    assert.notEqual(a.order_id, b.order_id);
+    const saved = fs.readFileSync(file, "utf8").trim().split("\n").map((l) => JSON.parse(l));
+    assert.deepEqual(saved.map((o) => o.order_id), [a.order_id, b.order_id]);
+    assert.equal(saved[0].subtotal, 300);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
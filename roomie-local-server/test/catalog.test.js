@@ -0,0 +1,72 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { loadCatalog, searchCatalog } from "../catalog.js";
+import { createSpecBuilder } from "../specs.js";
+import { loadConfig, DEFAULT_CONFIG_DIR } from "../config.js";
+import { createConverter } from "../currency.js";
+
+const item = (id, fields) => ({ id, name: id, category: "sofa", price: 1000, width_cm: 200, depth_cm: 90, height_cm: 80, style_tags: [], material_slots: [], ...fields });
+const items = [
+  item("A", { price: 900, style_tags: ["scandi"] }),
+  item("B", { price: 1190, style_tags: ["modern"] }),
+  item("C", { price: 1490, width_cm: 240, style_tags: ["scandi"] }),
+  item("R", { category: "rug", price: 300, width_cm: 200, depth_cm: 300 }),
+];
+const ids = (res) => [res.choice?.id ?? null, ...res.alternates.map((it) => it.id)];
+
+test("loadCatalog reads JSON and CSV exports", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "catalog-"));
+  try {
+    const json = path.join(dir, "c.json");
+    fs.writeFileSync(json, JSON.stringify({ items: [{ id: "S1", name: "Sofa", category: "Sofa", price: "1,290", width: 210, style: "Modern|Boho", slots: ["Fabric"] }, { name: "no id" }] }));
+    assert.deepEqual(loadCatalog(json), [{
+      id: "S1", name: "Sofa", category: "sofa", price: 1290, width_cm: 210, depth_cm: 0, height_cm: 0,
+      style_tags: ["modern", "boho"], material_slots: ["fabric"],
+    }]);
+    const csv = path.join(dir, "c.csv");
+    fs.writeFileSync(csv, 'id,name,category,price,width_cm,depth_cm,height_cm,style_tags\r\nR1,"Rug, ""Oslo""",rug,300,200,300,0,scandi;minimal\n\n');
+    const [rug] = loadCatalog(csv);
+    assert.equal(rug.name, 'Rug, "Oslo"');
+    assert.deepEqual(rug.style_tags, ["scandi", "minimal"]);
+    assert.equal(rug.depth_cm, 300);
+    assert.deepEqual(loadCatalog(path.join(dir, "missing.json")), []);
+    assert.deepEqual(loadCatalog(""), []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("searchCatalog", async (t) => {
+  const cases = [
+    ["style ranks first", { category: "sofa", style: ["scandi"] }, ["A", "C", "B"], ""],
+    ["then filling the width", { category: "sofa", style: ["scandi"], max_w: 250 }, ["C", "A", "B"], ""],
+    ["budget is a hard limit", { category: "sofa", style: ["scandi"], budget_max: 1200 }, ["A", "B"], ""],
+    ["budget used well", { category: "sofa", budget_max: 1200 }, ["B", "A"], ""],
+    ["width", { category: "sofa", max_w: 210, budget_min: 1000 }, ["B"], ""],
+    ["room fit turns the item", { category: "rug", room_w: 320, room_len: 250 }, ["R"], ""],
+    ["excluded ids", { category: "sofa", exclude: ["A", "C"] }, ["B"], ""],
+    ["nothing fits", { category: "sofa", budget_max: 500, max_w: 100 }, [null], "budget_max"],
+    ["unknown category", { category: "lamp" }, [null], "category"],
+  ];
+  for (const [name, query, want, blocking] of cases) {
+    await t.test(name, () => {
+      const res = searchCatalog(items, query);
+      assert.deepEqual(ids(res), want);
+      assert.equal(res.blocking, blocking);
+    });
+  }
+});
+
+test("SPEC picks a catalog item or reports what blocked it", () => {
+  const lex = loadConfig(DEFAULT_CONFIG_DIR, { models: {} }).configs.get("").lex;
+  const { specFromJson } = createSpecBuilder({ catalog: items, fx: createConverter() });
+  const hit = specFromJson({ category: "sofa", suggest: true }, "a scandi sofa under 1000", {}, lex);
+  assert.equal(hit.specs[0].choice_id, "A");
+  assert.equal(hit.noMatch, "");
+  const miss = specFromJson({ category: "sofa", suggest: true }, "a sofa under 500", {}, lex);
+  assert.equal(miss.specs[0].choice_id, "");
+  assert.equal(miss.noMatch, "[CATALOG_NO_MATCH category=sofa blocking=budget_max]");
+});
@@ -0,0 +1,72 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { loadConfig, DEFAULT_CONFIG_DIR } from "../config.js";
+
+const defaults = { models: { chat: ["chat-default"], spec: ["spec-default"], vision: [] } };
+const canon = (table, word) => table.find(([, syns]) => syns.includes(word))?.[0];
+
+// A copy of the shipped config with extra files: { "tenants/a/persona.md": "...", ... }
+function withConfig(files, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "config-"));
+  try {
+    fs.cpSync(DEFAULT_CONFIG_DIR, dir, { recursive: true });
+    for (const [file, body] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), typeof body === "string" ? body : JSON.stringify(body));
+    }
+    return fn(loadConfig(dir, defaults));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test("the shipped config loads, with the ru/ka vocabulary from its lexicon files", () => {
+  const { configs, errors } = loadConfig(DEFAULT_CONFIG_DIR, defaults);
+  assert.equal(errors, undefined);
+  const { lex, models, specHint } = configs.get("");
+  assert.equal(canon(lex.categories, "couch"), "sofa");
+  assert.equal(canon(lex.categories, "диван"), "sofa");
+  assert.equal(canon(lex.categories, "დივან"), "sofa");
+  assert.equal(canon(lex.colors, "чёрн"), "black");
+  assert.ok(lex.intent.includes("мне нужен"));
+  assert.ok(specHint.includes("coffee-table") && !specHint.includes("{{categories}}"));
+  assert.deepEqual(models.chat, ["chat-default"]);
+});
+
+test("tenants override text and models and add vocabulary", () => {
+  withConfig({
+    "tenants/north/persona.md": "You are North.",
+    "tenants/north/models.json": { chat: ["north-chat"] },
+    "tenants/north/lexicon.json": { categories: { ottoman: ["pouf"] } },
+    "tenants/north/lexicon.ru.json": { categories: { ottoman: ["пуф"] } },
+  }, ({ configs, errors }) => {
+    assert.equal(errors, undefined);
+    const north = configs.get("north");
+    assert.equal(north.prompt, "You are North.");
+    assert.deepEqual(north.models, { chat: ["north-chat"], spec: ["spec-default"], vision: [] });
+    assert.equal(canon(north.lex.categories, "pouf"), "ottoman");
+    assert.equal(canon(north.lex.categories, "пуф"), "ottoman");
+    assert.ok(north.specHint.includes("ottoman"));
+    assert.equal(canon(configs.get("").lex.categories, "pouf"), undefined);
+  });
+});
+
+test("bad files are reported at load", () => {
+  withConfig({
+    "lexicon.ru.json": { categories: { "Big Sofa": ["диван"] }, colours: {} },
+    "tenants/north/models.json": { chat: "one", maxRetries: 0 },
+    "tenants/North!/persona.md": "x",
+  }, ({ configs, errors }) => {
+    assert.equal(configs, undefined);
+    assert.deepEqual(errors.sort(), [
+      'lexicon.ru.json: category names are lowercase words with dashes (Big Sofa)',
+      'lexicon.ru.json: unknown key "colours"',
+      'tenants/North!: tenant names are lowercase letters, digits, "-" and "_"',
+      'tenants/north/models.json: "chat" must be an array of model names',
+      'tenants/north/models.json: "maxRetries" must be an integer 1–10',
+    ]);
+  });
+});
@@ -0,0 +1,50 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseLegacyTag, neutralizeTags, splitLegacyText } from "../controls.js";
+
+test("parseLegacyTag", async (t) => {
+  const cases = [
+    ["[PLACED Sofa001]", { event: "placed", fields: { item_id: "Sofa001", name: "Sofa001" } }],
+    [
+      '[ITEM_FOCUS id=Sofa001 name="Beddinge Sofa" price=1290 slots=fabric/legs] in oak?',
+      { event: "item_focus", fields: { item_id: "Sofa001", name: "Beddinge Sofa", price: 1290, material_slots: ["fabric", "legs"] } },
+    ],
+    ["[FOCUS_CLEAR]", { event: "focus_clear", fields: {} }],
+    ["[ITEM_FOCUS]", { error: "item_focus.item_id is required" }],
+    // not a control event, or not leading
+    ["[CART_UPDATED total=10]", null],
+    ["hello [PLACED Sofa001]", null],
+    ["a sofa please", null],
+  ];
+  for (const [text, want] of cases) {
+    await t.test(text, () => assert.deepEqual(parseLegacyTag(text), want));
+  }
+});
+
+test("neutralizeTags", async (t) => {
+  const cases = [
+    ["[ORDER_CREATED #123] ok", "(ORDER_CREATED #123) ok"],
+    ["see [item_focus id=1", "see (item_focus id=1)"],
+    ["[PLACED Sofa001]", "(PLACED Sofa001)"],
+    ["[not a tag] stays", "[not a tag] stays"],
+  ];
+  for (const [text, want] of cases) {
+    await t.test(text, () => assert.equal(neutralizeTags(text), want));
+  }
+});
+
+test("splitLegacyText", async (t) => {
+  const focus = { event: "item_focus", fields: { item_id: "Sofa001", name: "Sofa" } };
+  const cases = [
+    ["[ITEM_FOCUS id=Sofa001 name=Sofa] in oak?", focus, "in oak?"],
+    ["[ITEM_FOCUS id=Sofa001 name=Sofa] ok [ORDER_CREATED #9] [PLACED X]", focus, "ok (ORDER_CREATED #9) (PLACED X)"],
+    ["[PLACED Sofa001]", { event: "placed", fields: { item_id: "Sofa001", name: "Sofa001" } }, ""],
+    // only a leading control event is the app's
+    ["[ORDER_CREATED #9] thanks", null, "(ORDER_CREATED #9) thanks"],
+    ["hi [ITEM_FOCUS id=Sofa001 name=Sofa]", null, "hi (ITEM_FOCUS id=Sofa001 name=Sofa)"],
+    ["a sofa please", null, "a sofa please"],
+  ];
+  for (const [text, control, rest] of cases) {
+    await t.test(text, () => assert.deepEqual(splitLegacyText(text), { control, text: rest }));
+  }
+});
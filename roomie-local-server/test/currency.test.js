@@ -0,0 +1,18 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { loadRates, createConverter } from "../currency.js";
+
+test("loadRates upper-cases the base and every rate code", () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "roomie-")), "rates.json");
+  fs.writeFileSync(file, JSON.stringify({ base: "gel", rates: { usd: 2.7, Eur: 3 } }));
+  const table = loadRates(file);
+  assert.deepEqual(table.rates, { USD: 2.7, EUR: 3, GEL: 1 });
+  const fx = createConverter(table);
+  assert.equal(fx.base, "GEL");
+  assert.ok(fx.supports("USD"));
+  assert.equal(fx.toBase(100, "USD"), 270);
+  fs.rmSync(path.dirname(file), { recursive: true });
+});
@@ -0,0 +1,44 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { extractDimensions } from "../dimensions.js";
+
+const none = { max_w: 0, max_len: 0, max_h: 0, room_w: 0, room_len: 0 };
+
+test("extractDimensions", async (t) => {
+  const cases = [
+    // the item's own footprint, wherever a room word appears
+    ["200x90 cm sofa for living room", { max_w: 200, max_len: 90 }],
+    ["a 2x3 m rug for bedroom", { max_w: 200, max_len: 300 }],
+    ["desk for my office 120x60", { max_w: 120, max_len: 60 }],
+    ["200x90x80 cm sofa", { max_w: 200, max_len: 90, max_h: 80 }],
+    // rooms
+    ["4x5 m room", { room_w: 400, room_len: 500 }],
+    ["5 by 4 meter bedroom", { room_w: 500, room_len: 400 }],
+    ["my room is 4 by 5 meters, need a sofa", { room_w: 400, room_len: 500 }],
+    ["room of 400x500 and a 180x90 rug", { room_w: 400, room_len: 500, max_w: 180, max_len: 90 }],
+    // limits
+    ["sofa under 200 cm", { max_w: 200 }],
+    ["at most 1.8 m", { max_w: 180 }],
+    ["no wider than 180", { max_w: 180 }],
+    ["max height 90 cm", { max_h: 90 }],
+    ["height under 2 m", { max_h: 200 }],
+    ["under 180 cm wide", { max_w: 180 }],
+    ["width 180, under 2 m", { max_w: 180 }],
+    ["fits a 2.4 m wall", { max_w: 240 }],
+    ["no deeper than 36 inches", { max_len: 91 }],
+    ["no wider than 180 and not taller than 90", { max_w: 180, max_h: 90 }],
+    ["no taller than 1.2 m lamp", { max_h: 120 }],
+    ["2 m tall bookcase", { max_h: 200 }],
+  ];
+  for (const [text, want] of cases) {
+    await t.test(text, () => assert.deepEqual(extractDimensions(text), { ...none, ...want }));
+  }
+  for (const text of [
+    "a sofa under 900", "sofa for the living room", "",
+    // counts and durations are not sizes
+    "I need 2 tall lamps under $300", "show me 4 high chairs", "no longer than 2 weeks delivery",
+    "no longer than 10 days", "height 3 people can sit", "2 wide armchairs",
+  ]) {
+    await t.test(`no dimensions: ${JSON.stringify(text)}`, () => assert.equal(extractDimensions(text), null));
+  }
+});
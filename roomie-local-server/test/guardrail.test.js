@@ -0,0 +1,51 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { checkReply, repairReply } from "../guardrail.js";
+import { createConverter } from "../currency.js";
+
+const facts = {
+  items: [
+    { name: "Beddinge Blue Sofa", price: 1190, width_cm: 200, depth_cm: 90, height_cm: 80 },
+    { name: "Beddinge Black Sofa", price: 990, width_cm: 180, depth_cm: 90, height_cm: 80 },
+  ],
+  maxQuestions: 1,
+  maxChars: 600,
+  fx: createConverter(),
+};
+const rules = (text) => checkReply(text, facts).filter((v) => v.rule === "price" || v.rule === "size").map((v) => v.detail);
+
+test("prices and sizes", async (t) => {
+  const cases = [
+    // [reply, violations, repaired]
+    ["The Beddinge Blue Sofa is ₾1,190. Want it?", [], "The Beddinge Blue Sofa is ₾1,190. Want it?"],
+    ["The Beddinge Blue Sofa is ₾990. Want it?", ["Beddinge Blue Sofa: said ₾990, catalog 1190"], "The Beddinge Blue Sofa is ₾1,190. Want it?"],
+    ["₾990 gets you the Beddinge Black Sofa. Want it?", [], "₾990 gets you the Beddinge Black Sofa. Want it?"],
+    ["The Beddinge Blue Sofa is ₾1,190 and the Beddinge Black Sofa is ₾990. Which one?", [],
+      "The Beddinge Blue Sofa is ₾1,190 and the Beddinge Black Sofa is ₾990. Which one?"],
+    ["The Beddinge Blue Sofa is ₾990 and the Beddinge Black Sofa is ₾1,190. Which one?",
+      ["Beddinge Blue Sofa: said ₾990, catalog 1190", "Beddinge Black Sofa: said ₾1,190, catalog 990"],
+      "The Beddinge Blue Sofa is ₾1,190 and the Beddinge Black Sofa is ₾990. Which one?"],
+    // the amount goes with the item named right before it
+    ["The Beddinge Blue Sofa and the Beddinge Black Sofa start at ₾990. Which one?", [],
+      "The Beddinge Blue Sofa and the Beddinge Black Sofa start at ₾990. Which one?"],
+    ["Mid-range sofas run ₾800–1,200. Want some?", [], "Mid-range sofas run ₾800–1,200. Want some?"],
+    ["The Beddinge Blue Sofa is 200 cm wide and the Beddinge Black Sofa is 180 cm. Which one?", [],
+      "The Beddinge Blue Sofa is 200 cm wide and the Beddinge Black Sofa is 180 cm. Which one?"],
+    ["The Beddinge Black Sofa is 200 cm wide. Which one?", ["Beddinge Black Sofa: said 200 cm, catalog 180×90×80 cm"], "Which one?"],
+  ];
+  for (const [text, want, repaired] of cases) {
+    await t.test(text, () => {
+      assert.deepEqual(rules(text), want);
+      assert.equal(repairReply(text, facts), repaired);
+    });
+  }
+});
+
+test("questions and length", () => {
+  assert.deepEqual(checkReply("Nice. Like it? Or this?", facts).map((v) => v.rule), ["questions"]);
+  assert.equal(repairReply("Nice. Like it? Or this?", facts), "Nice. Or this?");
+  assert.equal(repairReply("Nice. Like it?", { ...facts, maxQuestions: 0 }), "Nice.");
+  assert.deepEqual(checkReply("Shall we?", facts), []);
+  assert.equal(checkReply("It's in stock. Want it?", facts)[0].fix, "regenerate");
+  assert.equal(repairReply("It's in stock. Want it?", facts), "Want it?");
+});
@@ -0,0 +1,95 @@
+// Shared by the *.test.js files that run the real server (index.js) with the mock provider
+import { spawn } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import WebSocket from "ws";
+
+const SERVER = new URL("../index.js", import.meta.url).pathname;
+export const EXAMPLE_CATALOG = new URL("../catalog.example.json", import.meta.url).pathname;
+
+/**
+ * Start index.js on a free port. script: MOCK_SCRIPT entries; env: extra variables.
+ * Returns { url, logs (parsed log lines so far), stop() }.
+ */
+export async function startServer({ script = [], env = {} } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "roomie-"));
+  fs.writeFileSync(path.join(dir, "mock.json"), JSON.stringify(script));
+  const child = spawn(process.execPath, [SERVER], {
+    cwd: dir,
+    env: {
+      PATH: process.env.PATH, LLM_PROVIDER: "mock", MOCK_SCRIPT: path.join(dir, "mock.json"), PORT: "0",
+      ORDERS_FILE: path.join(dir, "orders.jsonl"), ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  const logs = [];
+  let buf = "";
+  const port = await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error("server did not start")), 10_000);
+    const onData = (chunk) => {
+      buf += chunk;
+      let nl;
+      while ((nl = buf.indexOf("\n")) >= 0) {
+        const line = buf.slice(0, nl);
+        buf = buf.slice(nl + 1);
+        try { logs.push(JSON.parse(line)); } catch { logs.push({ msg: line }); }
+        const last = logs[logs.length - 1];
+        if (last.msg === "listening") { clearTimeout(timer); resolve(last.port); }
+      }
+    };
+    child.stdout.setEncoding("utf8").on("data", onData);
+    child.stderr.setEncoding("utf8").on("data", onData);
+    child.on("exit", (code) => { clearTimeout(timer); reject(new Error(`server exited (${code})`)); });
+  });
+  return {
+    url: `ws://127.0.0.1:${port}`,
+    logs,
+    async stop() {
+      if (child.exitCode === null) {
+        const exited = new Promise((r) => child.once("exit", r));
+        child.kill();
+        await exited;
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+/**
+ * A v2 client: { send(obj), next(type) → the next event of that type, events, close() }.
+ * hello is sent on connect and its reply awaited.
+ */
+export async function connect(url, hello = {}) {
+  const ws = new WebSocket(url);
+  const events = [];
+  const waiting = [];
+  ws.on("message", (data) => {
+    const ev = JSON.parse(String(data));
+    events.push(ev);
+    for (const w of [...waiting]) {
+      if (w.type === ev.type && events.indexOf(ev) >= w.from) {
+        waiting.splice(waiting.indexOf(w), 1);
+        w.resolve(ev);
+      }
+    }
+  });
+  await new Promise((resolve, reject) => { ws.once("open", resolve); ws.once("error", reject); });
+  let seen = 0; // next() only returns events after the last one it returned
+  const client = {
+    events,
+    send: (obj) => ws.send(JSON.stringify(obj)),
+    next(type, ms = 5000) {
+      const i = events.findIndex((e, j) => j >= seen && e.type === type);
+      if (i >= 0) { seen = i + 1; return Promise.resolve(events[i]); }
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`no "${type}" event`)), ms);
+        waiting.push({ type, from: seen, resolve: (ev) => { clearTimeout(timer); seen = events.indexOf(ev) + 1; resolve(ev); } });
+      });
+    },
+    close: () => new Promise((r) => { ws.once("close", r); ws.close(); }),
+  };
+  client.send({ type: "hello", version: 2, ...hello });
+  await client.next("hello");
+  return client;
+}
@@ -0,0 +1,61 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseImage } from "../image.js";
+import { startServer, connect } from "./harness.js";
+
+const b64 = (bytes) => Buffer.from(bytes).toString("base64");
+const PNG = b64([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13, 1, 2, 3]);
+const JPEG = b64([0xff, 0xd8, 0xff, 0xe0, 0, 16, 1, 2, 3]);
+const GIF = b64([...Buffer.from("GIF89a"), 1, 2, 3]);
+
+test("parseImage", async (t) => {
+  const cases = [
+    ["png", { data: PNG, text: " what style is this? " }, { mimeType: "image/png", bytes: 15, question: "what style is this?" }],
+    ["data: URL", { data: `data:image/jpeg;base64,${JPEG}` }, { mimeType: "image/jpeg", bytes: 9, question: "" }],
+    ["jpg alias", { data: JPEG, mime: "image/jpg" }, { mimeType: "image/jpeg", bytes: 9, question: "" }],
+    ["line breaks", { data: `${PNG.slice(0, 8)}\n${PNG.slice(8)}` }, { mimeType: "image/png", bytes: 15, question: "" }],
+    ["missing", {}, { error: true }],
+    ["not base64", { data: "iVBO%%%=" }, { error: true }],
+    ["gif", { data: GIF }, { unsupported: true }],
+    ["declared type differs", { data: PNG, mime: "image/jpeg" }, { unsupported: true }],
+    ["too large", { data: PNG.repeat(200) }, { tooLarge: true }],
+  ];
+  for (const [name, body, want] of cases) {
+    await t.test(name, () => {
+      const res = parseImage(body, { maxBytes: 1024 });
+      if (want.mimeType) {
+        assert.equal(res.error, undefined);
+        assert.deepEqual({ mimeType: res.image.mimeType, bytes: res.image.bytes, question: res.question }, want);
+      } else {
+        assert.equal(typeof res.error, "string");
+        assert.equal(!!res.tooLarge, !!want.tooLarge);
+        assert.equal(!!res.unsupported, !!want.unsupported);
+      }
+    });
+  }
+});
+
+test("a room screenshot gives a style read-out that later SPECs use", async () => {
+  const server = await startServer({
+    script: [{ kind: "json", match: "a sofa", json: { category: "sofa", suggest: true } }],
+    env: { IMAGE_MAX_BYTES: "1024" },
+  });
+  try {
+    const client = await connect(server.url);
+    client.send({ type: "image", data: PNG, text: "what goes with this?" });
+    const room = await client.next("room_style");
+    assert.deepEqual([room.styles, room.materials], [["scandi", "minimal"], ["oak", "linen"]]);
+    assert.equal((await client.next("turn_end")).status, "final");
+
+    client.send({ type: "spec", text: "a sofa" });
+    assert.deepEqual((await client.next("spec")).style, ["scandi", "minimal"]);
+
+    for (const [data, code] of [[GIF, "UNSUPPORTED_MEDIA"], [PNG.repeat(200), "TOO_LARGE"]]) {
+      client.send({ type: "image", data });
+      assert.equal((await client.next("error")).code, code);
+    }
+    await client.close();
+  } finally {
+    await server.stop();
+  }
+});
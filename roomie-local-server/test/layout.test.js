@@ -0,0 +1,82 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseLayout, checkLayout, layoutSummary } from "../layout.js";
+
+const room = { w: 400, len: 500 };
+const at = (id, category, x, y, w, d, extra = {}) => ({ id, name: id, category, x, y, w, d, rot: 0, round: false, ...extra });
+const kinds = (res, kind) => res.violations.filter((v) => v.kind === kind);
+
+test("parseLayout", async (t) => {
+  const cases = [
+    [{ room: { w: 400, len: 500 }, items: [{ id: 7, category: "Sofa", x: 1, y: 2, w: 200, d: 90, rot: 90 }] },
+      { room, items: [{ id: "7", name: "7", category: "sofa", x: 1, y: 2, w: 200, d: 90, rot: 90, round: false }] }],
+    [{ room: { w: 400 }, items: [] }, { error: "room must be { w, len } in cm" }],
+    [{ room, items: {} }, { error: "items must be an array" }],
+    [{ room, items: [{ x: 1, y: 2, w: "200", d: 90 }] }, { error: "items[0].w must be a number (cm)" }],
+    [{ room, items: [{ x: 1, y: 2, w: 0, d: 90 }] }, { error: "items[0] needs a positive w and d" }],
+  ];
+  for (const [body, want] of cases) {
+    await t.test(JSON.stringify(body).slice(0, 60), () => assert.deepEqual(parseLayout(body), want));
+  }
+});
+
+test("walkways between items", async (t) => {
+  // sofa box x 100–300; the wardrobe's left edge sits `gap` cm further right
+  const cases = [[40, "error", 60], [75, "warning", 90], [5, null], [100, null]];
+  for (const [gap, severity, min] of cases) {
+    await t.test(`${gap} cm`, () => {
+      const res = checkLayout({ w: 600, len: 500 }, [at("sofa", "sofa", 200, 100, 200, 90), at("wardrobe", "wardrobe", 300 + gap + 25, 100, 50, 60)]);
+      const walk = kinds(res, "walkway");
+      if (!severity) return assert.deepEqual(walk, []);
+      assert.deepEqual(walk, [{ kind: "walkway", severity, items: ["sofa", "wardrobe"], gap_cm: gap, min_cm: min }]);
+      assert.equal(res.ok, severity !== "error");
+    });
+  }
+});
+
+test("overlaps, walls and rotation", () => {
+  const overlap = checkLayout(room, [at("a", "sofa", 200, 100, 200, 90), at("b", "armchair", 280, 100, 80, 80)]);
+  assert.deepEqual(overlap.overlaps, [{ items: ["a", "b"], area_cm2: 60 * 80 }]);
+  assert.equal(overlap.ok, false);
+  // 200 × 50 against the left wall: out of the room unless turned 90°
+  assert.deepEqual(kinds(checkLayout(room, [at("s", "shelving", 30, 200, 200, 50)]), "outside_room").length, 1);
+  assert.deepEqual(checkLayout(room, [at("s", "shelving", 30, 200, 200, 50, { rot: 90 })]).violations, []);
+  // grouped pairs and rugs are no walkway problem
+  const grouped = checkLayout(room, [at("bed", "bed", 200, 300, 160, 200), at("ns", "nightstand", 320, 220, 40, 40), at("rug", "rug", 200, 300, 200, 300)]);
+  assert.deepEqual(grouped.violations, []);
+});
+
+test("coffee table reach", () => {
+  const reach = (gap) => kinds(checkLayout(room, [at("sofa", "sofa", 200, 100, 200, 90), at("ct", "coffee-table", 200, 145 + gap + 30, 100, 60)]), "coffee_table_reach");
+  assert.deepEqual(reach(40), []);
+  assert.deepEqual(reach(20), [{ kind: "coffee_table_reach", severity: "warning", items: ["sofa", "ct"], gap_cm: 20, min_cm: 35, max_cm: 50 }]);
+  assert.equal(reach(70)[0].gap_cm, 70);
+});
+
+test("dining seats, chairs and pull-out space", () => {
+  const table = at("table", "dining-table", 200, 250, 160, 90);
+  const chairs = [[130, 190], [200, 190], [270, 190], [130, 310], [200, 310], [270, 310], [100, 250]].map(([x, y], i) => at(`c${i}`, "chair", x, y, 40, 40));
+  const res = checkLayout(room, [table, ...chairs]);
+  assert.deepEqual(res.dining, [{ id: "table", seats: 6, chairs: 7 }]);
+  assert.deepEqual(kinds(res, "too_many_chairs"), [{ kind: "too_many_chairs", severity: "warning", items: ["table"], chairs: 7, seats: 6 }]);
+  assert.equal(checkLayout(room, [at("t", "dining-table", 200, 250, 120, 120, { round: true })]).dining[0].seats, 6);
+  const nearWall = checkLayout(room, [at("table", "dining-table", 200, 95, 160, 90)]);
+  assert.deepEqual(kinds(nearWall, "chair_pullout"), [{ kind: "chair_pullout", severity: "warning", items: ["table"], gap_cm: 50, min_cm: 75 }]);
+});
+
+test("rug size", () => {
+  const sofa = at("sofa", "sofa", 200, 100, 200, 90);
+  const table = at("table", "dining-table", 200, 250, 160, 90);
+  assert.deepEqual(checkLayout(room, [sofa]).rug, { w: 160, len: 230, size: "160×230", covers: true });
+  assert.deepEqual(checkLayout(room, [table]).rug, { w: 240, len: 340, size: "240×340", covers: true });
+  assert.deepEqual(checkLayout({ w: 250, len: 300 }, [{ ...table, x: 125, y: 150 }]).rug, { w: 160, len: 230, size: "160×230", covers: false });
+  assert.equal(checkLayout({ w: 150, len: 150 }, []).rug, null);
+});
+
+test("layoutSummary", () => {
+  const items = [at("sofa", "sofa", 200, 100, 200, 90, { name: "Sofa" }), at("ward", "wardrobe", 365, 100, 50, 60, { name: "Wardrobe" })];
+  const res = checkLayout(room, items);
+  assert.equal(layoutSummary(room, items, res), "room 400×500 cm, 2 items; walkway Sofa / Wardrobe is 40 cm (want ≥60); recommended rug 160×230 cm");
+  const clear = [items[0], { ...items[1], y: 300 }];
+  assert.equal(layoutSummary(room, clear, checkLayout(room, clear)), "room 400×500 cm, 2 items; recommended rug 160×230 cm; no clearance problems");
+});
@@ -0,0 +1,18 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { normalizeBudgetPhrases } from "../lexicons.js";
+
+test("normalizeBudgetPhrases", async (t) => {
+  const cases = [
+    ["диван до 1500 лари", "диван under 1500 "],
+    ["до $900", "under $900"],
+    ["от 300 до 900", "between 300 and 900"],
+    ["кресло от 400", "кресло min 400"],
+    ["до свидания", "до свидания"],
+    ["доставка до завтра", "доставка до завтра"],
+    ["отличается от дивана", "отличается от дивана"],
+  ];
+  for (const [text, want] of cases) {
+    await t.test(text, () => assert.equal(normalizeBudgetPhrases(text), want));
+  }
+});
@@ -0,0 +1,49 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRateLimiter, createBreaker } from "../limits.js";
+
+test("rate limiter allows a minute's worth at once, then refuses with a wait", () => {
+  const limiter = createRateLimiter({ perMin: 20 });
+  for (let i = 0; i < 20; i++) assert.deepEqual(limiter.take("s1"), { ok: true }, `request ${i + 1}`);
+  const refused = limiter.take("s1");
+  assert.equal(refused.ok, false);
+  assert.ok(refused.retryAfterMs > 0 && refused.retryAfterMs <= 3000);
+  // buckets are per key
+  assert.deepEqual(limiter.take("s2"), { ok: true });
+});
+
+test("rate limiter: perMin 0 is unlimited, an explicit burst is kept", () => {
+  const open = createRateLimiter({ perMin: 0 });
+  for (let i = 0; i < 100; i++) assert.ok(open.take("k").ok);
+  const tight = createRateLimiter({ perMin: 60, burst: 2 });
+  assert.ok(tight.take("k").ok);
+  assert.ok(tight.take("k").ok);
+  assert.equal(tight.take("k").ok, false);
+});
+
+test("breaker opens after a streak of failures and lets one probe through after the cooldown", async () => {
+  const breaker = createBreaker({ failures: 3, cooldownMs: 30 });
+  breaker.failure();
+  breaker.failure();
+  breaker.success(); // a success resets the streak
+  breaker.failure();
+  breaker.failure();
+  assert.equal(breaker.state, "closed");
+  breaker.failure();
+  assert.equal(breaker.state, "open");
+  assert.equal(breaker.allow(), false);
+  assert.ok(breaker.retryAfterMs() > 0);
+
+  await new Promise((r) => setTimeout(r, 40));
+  assert.equal(breaker.allow(), true); // the probe
+  assert.equal(breaker.state, "half-open");
+  assert.equal(breaker.allow(), false); // only one at a time
+  breaker.failure();
+  assert.equal(breaker.state, "open");
+
+  await new Promise((r) => setTimeout(r, 40));
+  assert.equal(breaker.allow(), true);
+  breaker.success();
+  assert.equal(breaker.state, "closed");
+  assert.equal(breaker.allow(), true);
+});
@@ -0,0 +1,76 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { noteText, noteSpecs, noteMatSpec, noteRoom, noteRejected, specDefaults, profileSummary, findStyles } from "../profile.js";
+import { findCanon } from "../specs.js";
+import { loadConfig, DEFAULT_CONFIG_DIR } from "../config.js";
+import { formatMoney } from "../currency.js";
+import { startServer, connect } from "./harness.js";
+
+const { lex } = loadConfig(DEFAULT_CONFIG_DIR, { models: {} }).configs.get("");
+const find = { material: (c) => findCanon(c, lex.slots), color: (c) => findCanon(c, lex.colors) };
+const money = (n) => formatMoney(n, "GEL");
+
+test("likes, dislikes and styles from chat text", async (t) => {
+  const cases = [
+    ["I love velvet and a scandi look", { likes: ["velvet"], style: ["scandi"] }],
+    ["no leather please, and not industrial", { dislikes: ["industrial", "leather"] }],
+    ["не люблю бархат", { dislikes: ["velvet"] }],
+    ["ხავერდი არ მინდა", { dislikes: ["velvet"] }],
+    ["a sofa for the living room", {}],
+  ];
+  for (const [text, want] of cases) {
+    await t.test(text, () => {
+      const p = {};
+      noteText(p, text, find);
+      assert.deepEqual(Object.fromEntries(Object.entries(p).filter(([, v]) => v.length)), want);
+    });
+  }
+});
+
+test("a later word wins, and lists stay short", () => {
+  const p = {};
+  noteText(p, "I like oak", find);
+  noteText(p, "actually no oak", find);
+  assert.deepEqual([p.likes, p.dislikes], [[], ["oak"]]);
+  noteText(p, "oak is fine after all", find);
+  assert.deepEqual([p.likes, p.dislikes], [["oak"], []]);
+  for (const w of ["velvet", "linen", "wool", "cotton", "walnut", "ash", "brass", "chrome", "glass"]) noteText(p, `I like ${w}`, find);
+  assert.equal(p.likes.length, 8);
+  assert.equal(p.likes[0], "glass");
+  assert.ok(!p.likes.includes("oak"));
+});
+
+test("SPEC, MATSPEC, room and rejections feed the SPEC defaults", () => {
+  const p = {};
+  noteSpecs(p, [{ category: "sofa", style: ["Modern"], budget_min: 500, budget_max: 900, budget_total: 900, room_w: 400, room_len: 500 }]);
+  noteMatSpec(p, { changes: [{ material: "velvet", color: "green" }], style: ["boho"] });
+  noteRoom(p, { styles: ["boho", "scandi"] });
+  noteRejected(p, { item_id: "Sofa001", name: "Pink Sofa" });
+  noteRejected(p, { item_id: "Sofa001", name: "Pink Sofa" });
+  noteRejected(p, {});
+  assert.deepEqual(specDefaults(p), {
+    category: "sofa", style: ["boho", "modern", "scandi"], budget_min: 500, budget_max: 900, room_w: 400, room_len: 500, exclude: ["Sofa001"],
+  });
+  assert.equal(profileSummary(p, money),
+    "budget ₾500–₾900; room 400×500 cm; styles boho, modern, scandi; likes velvet, green; turned down Pink Sofa");
+  // a multi-item set only sets the total
+  noteSpecs(p, [{ category: "rug", style: [], budget_min: 100, budget_total: 2000 }, { category: "lamp", style: [] }]);
+  assert.deepEqual([p.category, p.budget_min, p.budget_max], ["rug", 500, 2000]);
+  assert.equal(profileSummary({}, money), "");
+  assert.deepEqual(findStyles("a japandi or mid century vibe"), ["japandi", "mid-century"]);
+});
+
+test("a budget said in chat is the default for a later SPEC", async () => {
+  const server = await startServer({ script: [{ kind: "json", json: { category: "sofa", suggest: true } }] });
+  try {
+    const client = await connect(server.url);
+    client.send({ type: "user", text: "my budget is 900 gel and I dislike leather" });
+    await client.next("turn_end");
+    client.send({ type: "spec", text: "show me something" });
+    const spec = await client.next("spec");
+    assert.deepEqual([spec.category, spec.budget_max], ["sofa", 900]);
+    await client.close();
+  } finally {
+    await server.stop();
+  }
+});
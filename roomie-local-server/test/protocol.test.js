@@ -0,0 +1,12 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { flatten, escapeField } from "../protocol.js";
+
+test("flatten escapes text fields and sanitizes the rest", () => {
+  const summary = "room 400×500 cm, 2 items; walkway Sofa / Table is 40 cm | check";
+  assert.equal(
+    flatten({ ok: false, summary, name: "a;b|c" }, [], ["summary"]),
+    String.raw`ok=0;summary=room 400×500 cm, 2 items\; walkway Sofa / Table is 40 cm \| check;name=a/b/c`,
+  );
+  assert.equal(escapeField(String.raw`C:\x;y`), String.raw`C:\\x\;y`);
+});
@@ -0,0 +1,102 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { createMockProvider } from "../providers/mock.js";
+import { createOpenAIProvider } from "../providers/openai.js";
+import { createProvider } from "../providers/index.js";
+
+const drain = async (iter) => { const out = []; for await (const x of iter) out.push(x); return out; };
+const tools = [{ name: "search_catalog", description: "Find items", parameters: { type: "object", properties: {} } }];
+
+test("createProvider picks the backend and model chains from env", () => {
+  const { provider, models } = createProvider({ LLM_PROVIDER: "mock", CHAT_MODELS: "a, b", VISION_MODELS: "" });
+  assert.equal(provider.name, "mock");
+  assert.deepEqual(models, { chat: ["a", "b"], spec: ["mock"], vision: ["mock"] });
+  assert.throws(() => createProvider({ LLM_PROVIDER: "nope" }), /Unknown LLM_PROVIDER "nope"/);
+});
+
+test("mock: tool calls first, the text once their results come back", async () => {
+  const mock = createMockProvider({ entries: [{ match: "sofa", calls: [{ name: "search_catalog", args: { category: "sofa" } }], text: "Here it is." }] });
+  const contents = [{ role: "user", parts: [{ text: "a sofa" }] }];
+  const first = await drain(mock.streamChat({ contents, tools }));
+  assert.deepEqual(first, [{ call: { id: "call_1", name: "search_catalog", args: { category: "sofa" } } }]);
+  contents.push({ role: "model", parts: [{ functionCall: first[0].call }] });
+  contents.push({ role: "user", parts: [{ functionResponse: { id: "call_1", name: "search_catalog", response: { results: [] } } }] });
+  assert.equal((await drain(mock.streamChat({ contents, tools }))).join(""), "Here it is.");
+  // without tools: the plain text, and function parts are refused
+  assert.equal((await drain(mock.streamChat({ contents: contents.slice(0, 1) }))).join(""), "Here it is.");
+  await assert.rejects(drain(mock.streamChat({ contents })), /function parts without tools/);
+});
+
+test("mock: json entries, and the room read-out for images", async () => {
+  const mock = createMockProvider({ entries: [{ kind: "json", match: "spec", json: { category: "rug" } }] });
+  assert.equal(await mock.generateJson({ contents: [{ role: "user", parts: [{ text: "spec please" }] }] }), '{"category":"rug"}');
+  assert.equal(await mock.generateJson({ contents: [{ role: "user", parts: [{ text: "other" }] }] }), "{}");
+  const room = JSON.parse(await mock.generateJson({ contents: [{ role: "user", parts: [{ inlineData: { mimeType: "image/png", data: "" } }] }] }));
+  assert.ok(room.styles.length);
+});
+
+// A one-route /chat/completions server: records request bodies, answers with reply(body)
+async function withServer(reply, fn) {
+  const bodies = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => { body += c; });
+    req.on("end", () => {
+      bodies.push(JSON.parse(body));
+      const out = reply(bodies[bodies.length - 1]);
+      res.writeHead(out.status || 200, { "Content-Type": out.sse ? "text/event-stream" : "application/json" });
+      res.end(out.sse ? out.sse.map((d) => `data: ${typeof d === "string" ? d : JSON.stringify(d)}\n\n`).join("") : JSON.stringify(out.json));
+    });
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  try {
+    const provider = createOpenAIProvider({ baseUrl: `http://127.0.0.1:${server.address().port}/v1/`, apiKey: "k", chatModel: "m" });
+    await fn(provider, bodies);
+  } finally {
+    await new Promise((r) => server.close(r));
+  }
+}
+
+test("openai: streams text and assembles tool calls from fragments", async () => {
+  const delta = (d) => ({ choices: [{ delta: d }] });
+  await withServer(() => ({
+    sse: [
+      delta({ content: "Let me " }), delta({ content: "look." }),
+      delta({ tool_calls: [{ index: 0, id: "c1", function: { name: "search_", arguments: '{"categ' } }] }),
+      delta({ tool_calls: [{ index: 0, function: { name: "catalog", arguments: 'ory":"sofa"}' } }] }),
+      "[DONE]",
+    ],
+  }), async (provider, bodies) => {
+    const contents = [
+      { role: "user", parts: [{ text: "System: be nice" }] },
+      { role: "user", parts: [{ text: "a sofa" }] },
+      { role: "model", parts: [{ text: "Sure." }, { functionCall: { id: "c0", name: "search_catalog", args: { category: "rug" } } }] },
+      { role: "user", parts: [{ functionResponse: { id: "c0", name: "search_catalog", response: { results: [] } } }] },
+    ];
+    const out = await drain(provider.streamChat({ model: "m", contents, tools }));
+    assert.deepEqual(out, ["Let me ", "look.", { call: { id: "c1", name: "search_catalog", args: { category: "sofa" } } }]);
+    const [body] = bodies;
+    assert.equal(body.stream, true);
+    assert.deepEqual(body.tools, [{ type: "function", function: tools[0] }]);
+    assert.deepEqual(body.messages, [
+      { role: "user", content: "System: be nice" },
+      { role: "user", content: "a sofa" },
+      { role: "assistant", content: "Sure.", tool_calls: [{ id: "c0", type: "function", function: { name: "search_catalog", arguments: '{"category":"rug"}' } }] },
+      { role: "tool", tool_call_id: "c0", content: '{"results":[]}' },
+    ]);
+  });
+});
+
+test("openai: JSON requests, images and HTTP errors", async () => {
+  await withServer((body) => (body.model === "down" ? { status: 503, json: { error: "busy" } } : { json: { choices: [{ message: { content: '{"a":1}' } }] } }), async (provider, bodies) => {
+    const contents = [{ role: "user", parts: [{ text: "look" }, { inlineData: { mimeType: "image/png", data: "AAAA" } }] }];
+    assert.equal(await provider.generateJson({ model: "m", contents }), '{"a":1}');
+    assert.deepEqual(bodies[0].response_format, { type: "json_object" });
+    assert.deepEqual(bodies[0].messages[0].content, [
+      { type: "text", text: "look" },
+      { type: "image_url", image_url: { url: "data:image/png;base64,AAAA" } },
+    ]);
+    await assert.rejects(provider.generateJson({ model: "down", contents }), (err) => err.status === 503);
+  });
+});
@@ -0,0 +1,50 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createSessionStore } from "../sessions.js";
+import { createGroups, addParticipant } from "../coshop.js";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+test("sessions with a socket attached don't expire", async () => {
+  const store = createSessionStore({ SESSION_TTL_MIN: "0.001" }); // 60 ms
+  const s = store.create();
+  store.attach(s);
+  await sleep(100);
+  assert.equal(store.sweep(), 0);
+  assert.equal(store.get(s.token), s);
+  store.detach(s);
+  assert.equal(store.get(s.token), s); // the TTL starts now
+  await sleep(100);
+  assert.equal(store.get(s.token), null);
+});
+
+test("joiners get a token of their own that ends with their participant entry", () => {
+  const store = createSessionStore({});
+  const s = store.create();
+  const owner = addParticipant(s, { name: "Ana" });
+  const guest = addParticipant(s, { name: "Bo" });
+  const token = store.grant(s, guest);
+  assert.notEqual(token, s.token);
+  assert.equal(store.grant(s, guest), token);
+  assert.equal(store.get(token), s);
+  assert.equal(store.participantFor(s, token), guest);
+  assert.equal(store.participantFor(s, s.token), "");
+  assert.equal(store.grant(s, owner) === s.token, false); // any participant can be granted one
+  delete s.participants[guest];
+  assert.equal(store.get(token), null);
+  assert.equal(store.get(s.token), s);
+});
+
+test("join codes are found through the index, also for sessions restored before", () => {
+  const store = createSessionStore({});
+  const saved = store.create();
+  saved.share_code = "K7QX2M";
+  const groups = createGroups(store);
+  assert.equal(groups.find("k7qx-2m"), saved);
+  const s = store.create();
+  const code = groups.codeFor(s);
+  assert.equal(groups.find(code), s);
+  assert.equal(groups.find("NOPE42"), null);
+  store.delete(s.token);
+  assert.equal(groups.find(code), null);
+});
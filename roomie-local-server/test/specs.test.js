@@ -0,0 +1,64 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { extractBudget, splitBudget, createSpecBuilder } from "../specs.js";
+import { loadConfig, DEFAULT_CONFIG_DIR } from "../config.js";
+import { createConverter } from "../currency.js";
+
+const lex = loadConfig(DEFAULT_CONFIG_DIR, { models: {} }).configs.get("").lex;
+const { specFromJson } = createSpecBuilder({ catalog: [], fx: createConverter() });
+const sum = (xs) => xs.reduce((t, x) => t + x, 0);
+
+test("extractBudget", async (t) => {
+  const cases = [
+    ["a sofa under 900", { min: 0, max: 900 }],
+    ["between 1000 and 2000", { min: 1000, max: 2000 }],
+    ["1000-2000 gel", { min: 1000, max: 2000 }],
+    ["under 1.5k", { min: 0, max: 1500 }],
+    ["at least 500 usd", { min: 500, max: 0 }],
+    ["budget 800 gel", { min: 0, max: 800 }],
+    // lengths are sizes, not money
+    ["sofa under 200 cm", null],
+    ["a rug up to 2 m", null],
+    ["80 inches max", null],
+    ["200x90 cm sofa", null],
+    ["sofa under 200 cm under 900 eur", { min: 0, max: 900 }],
+    ["a 2x3 m rug under 500", { min: 0, max: 500 }],
+    ["a sofa", null],
+    ["диван до 1500 лари", { min: 0, max: 1500 }],
+    ["до завтра, диван 200 см", null],
+  ];
+  for (const [text, want] of cases) {
+    await t.test(text, () => assert.deepEqual(extractBudget(text), want));
+  }
+});
+
+test("splitBudget", async (t) => {
+  const cases = [
+    [1000, [5, 2], [710, 290]],
+    [1005, [5, 2], [710, 295]],
+    // too small for 10 each: steps of 1, still a cap on every item
+    [55, [1, 1, 1, 1, 1, 1, 1], [8, 8, 8, 8, 8, 8, 7]],
+    [35, [1, 1, 1, 1], [9, 9, 9, 8]],
+    [50, [5, 2, 1, 1, 1], [10, 10, 10, 10, 10]],
+    [7, [3, 1, 1, 1], [3, 2, 1, 1]],
+  ];
+  for (const [pool, weights, want] of cases) {
+    await t.test(`${pool} over ${weights}`, () => {
+      const got = splitBudget(pool, weights);
+      assert.deepEqual(got, want);
+      assert.equal(sum(got), pool);
+      assert.ok(got.every((x) => x > 0));
+    });
+  }
+});
+
+test("splitBudget: a pool smaller than the item count caps each item at the pool", () => {
+  assert.deepEqual(splitBudget(3, [2, 1, 1, 1]), [3, 3, 3, 3]);
+});
+
+test("a small shared budget over many items caps every item", () => {
+  const { specs } = specFromJson({}, "a sofa, a rug, a lamp, a chair, a nightstand, a desk and a bed, budget 55", {}, lex);
+  assert.deepEqual(specs.map((s) => s.category), ["sofa", "rug", "lamp", "chair", "nightstand", "desk", "bed"]);
+  assert.ok(specs.every((s) => s.budget_max > 0));
+  assert.equal(sum(specs.map((s) => s.budget_max)), 55);
+});
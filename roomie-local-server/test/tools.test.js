@@ -0,0 +1,45 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { makeTools, FOCUS_TOOLS } from "../tools.js";
+import { startServer, connect, EXAMPLE_CATALOG } from "./harness.js";
+
+test("makeTools", () => {
+  const tools = makeTools(["sofa", "rug", "ottoman"]);
+  const names = tools.map((t) => t.name);
+  assert.ok(names.includes("search_catalog"));
+  for (const name of FOCUS_TOOLS) assert.ok(names.includes(name));
+  const search = tools.find((t) => t.name === "search_catalog");
+  assert.deepEqual(search.parameters.properties.category.enum, ["sofa", "rug", "ottoman"]);
+  assert.deepEqual(search.parameters.properties.items.items.properties.category.enum, ["sofa", "rug", "ottoman"]);
+  for (const t of tools) assert.equal(t.parameters.type, "object");
+});
+
+test("a tool call round trip, and a guardrail rewrite that keeps the tool results", async () => {
+  const server = await startServer({
+    env: { CATALOG_PATH: EXAMPLE_CATALOG, TOOLS: "auto", GUARDRAIL: "stream" },
+    script: [
+      { kind: "chat", match: "^System: Rewrite", text: "The Beddinge Blue Sofa is ₾1,190. Want to see it in your room?" },
+      {
+        kind: "chat", match: "blue sofa",
+        calls: [{ name: "search_catalog", args: { category: "sofa", style_tags: ["scandi"], budget_max: 1200 } }],
+        text: "The Beddinge Blue Sofa is ₾1,190 and it is in stock today. Want it?",
+      },
+    ],
+  });
+  try {
+    const client = await connect(server.url);
+    client.send({ type: "user", text: "a blue sofa under 1200 please" });
+    const spec = await client.next("spec");
+    assert.equal(spec.category, "sofa");
+    assert.equal(spec.budget_max, 1200);
+    assert.equal(spec.choice_id, "Sofa002");
+    const final = await client.next("final");
+    assert.equal(final.text, "The Beddinge Blue Sofa is ₾1,190. Want to see it in your room?");
+    assert.equal(final.corrected, true);
+    assert.equal((await client.next("turn_end")).status, "final");
+    await client.close();
+    assert.ok(!server.logs.some((l) => l.level === "error"), JSON.stringify(server.logs.filter((l) => l.level === "error")));
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,79 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { redact, createTranscript, readTranscript, replayEntry } from "../transcript.js";
+import { createSpecBuilder } from "../specs.js";
+import { loadConfig, DEFAULT_CONFIG_DIR } from "../config.js";
+import { createConverter } from "../currency.js";
+
+const lex = loadConfig(DEFAULT_CONFIG_DIR, { models: {} }).configs.get("").lex;
+const rules = createSpecBuilder({ catalog: [], fx: createConverter() });
+
+test("redact", async (t) => {
+  const cases = [
+    ["mail me at ana.b+home@example.co.uk", [], "mail me at [email]"],
+    ["call +995 555 12 34 56", [], "call [phone]"],
+    ["or (555) 123-4567 after six", [], "or [phone] after six"],
+    // ids, budgets, sizes and ranges are not personal data
+    ["swap 100234567 for 100234568", [], "swap 100234567 for 100234568"],
+    ["order 4821907731 under 900", [], "order 4821907731 under 900"],
+    ["1000-2000 gel, 200x90 cm", [], "1000-2000 gel, 200x90 cm"],
+    ["Rose likes the rose sofa", ["Rose"], "[name] likes the rose sofa"],
+    ["Roseanne", ["Rose"], "Roseanne"],
+  ];
+  for (const [text, names, want] of cases) {
+    await t.test(text, () => assert.equal(redact(text, names), want));
+  }
+});
+
+test("v2 message frames are redacted inside data too", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "transcript-"));
+  const file = path.join(dir, "t.jsonl");
+  try {
+    const transcript = createTranscript({ TRANSCRIPT_FILE: file });
+    const text = "I'm Ana, ana@example.com or +995 555 123 456, sofa 100234567";
+    const data = { v: 2, type: "user", text, locale: "en", note: { lines: ["ring Ana on +995 555 123 456"] }, item_id: "100234567" };
+    transcript.record({ session: "s1", turn_id: 1, kind: "message", type: "user", text, data }, ["Ana"]);
+    const [entry] = readTranscript(file);
+    const masked = "I'm [name], [email] or [phone], sofa 100234567";
+    assert.equal(entry.text, masked);
+    assert.deepEqual(entry.data, { ...data, text: masked, note: { lines: ["ring [name] on [phone]"] } });
+    assert.doesNotMatch(fs.readFileSync(file, "utf8"), /ana@|555 123/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("a fresh redacted transcript replays without differences", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "transcript-"));
+  const file = path.join(dir, "t.jsonl");
+  try {
+    const transcript = createTranscript({ TRANSCRIPT_FILE: file });
+    const names = ["Rose", "Oak"];
+    const prefs = { category: "sofa", style: ["modern"], rejected: [{ item_id: "100234567", name: "Rose Sofa" }, { item_id: "100234568", name: "Oak Sofa" }] };
+    const user = "Rose wants a rose velvet sofa like 100234999, not 100234567, under 900; mail rose@example.com";
+    const llm = { category: "sofa", suggest: true, exclude_ids: ["100234567"], item_id: "100234999" };
+    const spec = rules.specFromJson(llm, user, prefs, lex);
+    transcript.record({ session: "s1", turn_id: 1, kind: "message", type: "user", text: user }, names);
+    transcript.record({ session: "s1", turn_id: 1, kind: "spec", source: "explicit", user, llm, prefs, out: { specs: spec.specs, noMatch: spec.noMatch } }, names);
+
+    const focus = { item_id: "100234999", material_slots: ["fabric", "wood"] };
+    const muser = "make the legs oak like Oak's table, call +1 555 123 4567";
+    const mllm = { slot: "wood", color: "oak", item_id: "100234999" };
+    const mat = rules.matSpecFromJson(mllm, muser, focus, lex);
+    transcript.record({ session: "s1", turn_id: 2, kind: "matspec", source: "explicit", user: muser, llm: mllm, focus, out: { matspec: mat.matspec, unsupported: mat.unsupported } }, names);
+
+    const [message, specEntry, matEntry] = readTranscript(file);
+    assert.equal(message.text, "[name] wants a rose velvet sofa like 100234999, not 100234567, under 900; mail [email]");
+    assert.deepEqual(specEntry.llm, llm);
+    assert.deepEqual(specEntry.prefs, prefs);
+    assert.deepEqual(matEntry.focus, focus);
+    assert.match(specEntry.user, /^Rose wants .* mail \[email\]$/);
+    assert.match(matEntry.user, /Oak's table, call \[phone\]$/);
+    for (const e of [specEntry, matEntry]) assert.deepEqual(replayEntry(e, rules, lex), []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,20 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createTurnRunner } from "../turns.js";
+
+test("full() reports a queue that would refuse the next turn", async () => {
+  const turns = createTurnRunner({ maxQueued: 1 });
+  let release;
+  const ended = [];
+  const blocker = new Promise((r) => { release = r; });
+  assert.equal(turns.full("s"), false);
+  turns.submit("s", { id: "t1", run: () => blocker, onEnd: (status) => ended.push(["t1", status]) });
+  assert.equal(turns.full("s"), false);
+  assert.deepEqual(turns.submit("s", { id: "t2", run: async () => {}, onEnd: (status) => ended.push(["t2", status]) }), { accepted: true, position: 1 });
+  assert.equal(turns.full("s"), true);
+  assert.equal(turns.submit("s", { id: "t3", run: async () => {} }).accepted, false);
+  release();
+  await new Promise((r) => setTimeout(r, 10));
+  assert.deepEqual(ended, [["t1", "final"], ["t2", "final"]]);
+  assert.equal(turns.full("s"), false);
+});
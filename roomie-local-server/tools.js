@@ -0,0 +1,86 @@
+// tools.js — function declarations offered to the chat model
+//
+// Provider-neutral: { name, description, parameters: JSON Schema }. The handlers live in
+// index.js (they emit the same SPEC/MATSPEC/CART events the explicit messages do) and
+// return a small JSON result the model answers from. Categories come from the session's
+// vocabulary (config.js), so a tenant's extra categories are offered too.
+
+const STYLES = ["scandi", "modern", "industrial", "boho", "traditional", "minimal", "mid-century", "japandi"];
+
+// Same keys as the SPEC JSON schema, so tool arguments go through the same SPEC rules
+const constraintsFor = (categories) => ({
+  category: { type: "string", enum: categories },
+  style_tags: { type: "array", items: { type: "string", enum: STYLES } },
+  budget_min: { type: "number", description: "In the currency the customer used; 0 = none" },
+  budget_max: { type: "number", description: "In the currency the customer used; 0 = none" },
+  max_width_cm: { type: "number" },
+  max_depth_cm: { type: "number" },
+  max_height_cm: { type: "number" },
+});
+
+// Actions the model may take on the cart (the rest are UI-only)
+export const MODEL_CART_ACTIONS = ["add", "remove", "set_qty"];
+// Only offered while an item is focused
+export const FOCUS_TOOLS = ["replace_model", "apply_material"];
+
+export const makeTools = (categories) => {
+  const constraints = constraintsFor(categories);
+  return [
+    {
+      name: "search_catalog",
+      description: "Find catalog items for the customer and show them in the app. Use when they ask to see, pick or recommend furniture, or give a category with a budget/size. Several pieces → one entry each in items.",
+      parameters: {
+        type: "object",
+        properties: {
+          ...constraints,
+          items: { type: "array", items: { type: "object", properties: constraints } },
+        },
+      },
+    },
+    {
+      name: "replace_model",
+      description: "Swap the focused item for a different catalog model (cheaper, smaller, another style, ...). Only when an item is focused.",
+      parameters: { type: "object", properties: constraints },
+    },
+    {
+      name: "apply_material",
+      description: "Change material, color or finish of parts of the focused item (e.g. legs, frame, upholstery). Not for describing a new item (\"a brown sofa\" is a search).",
+      parameters: {
+        type: "object",
+        properties: {
+          changes: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                part: { type: "string", description: "One of the focused item's material slots; \"\" when not named" },
+                material: { type: "string" },
+                color: { type: "string" },
+                finish: { type: "string" },
+              },
+            },
+          },
+        },
+        required: ["changes"],
+      },
+    },
+    {
+      name: "update_cart",
+      description: "Add, remove or change the quantity of a catalog item in the cart, only when the customer explicitly asks. Checkout and orders happen in the app.",
+      parameters: {
+        type: "object",
+        properties: {
+          action: { type: "string", enum: MODEL_CART_ACTIONS },
+          item_id: { type: "string" },
+          qty: { type: "integer", minimum: 0 },
+        },
+        required: ["action", "item_id"],
+      },
+    },
+    {
+      name: "check_layout",
+      description: "Get the clearance/overlap/rug/seating check of the customer's current room layout (asks the app for it when none was sent yet).",
+      parameters: { type: "object", properties: {} },
+    },
+  ];
+};
@@ -0,0 +1,119 @@
+// transcript.js — opt-in conversation transcripts for offline replay (TRANSCRIPT_FILE)
+//
+// One JSON line per event, all with { ts, session, tenant, turn_id, participant, kind }:
+//   message   what the client sent: { type, text, data } (data: the other v2 frame fields;
+//             image bytes are left out)
+//   tool      a tool call made by the chat model: { name, args }
+//   reply     a finished model turn: { user (text or app tag it answered), text }
+//   spec      { source, user, llm, prefs, out: { specs, noMatch } }
+//   matspec   { source, user, llm, focus, out: { matspec, unsupported } }
+// llm is the model's raw JSON (or the tool call's arguments) that the SPEC/MATSPEC rules ran
+// on, prefs/focus the parts of the session they read; replay.js runs the same input through
+// the current rules and reports what changed in out.
+// Redaction (TRANSCRIPT_REDACT=1, the default) covers the free-form text people typed: emails
+// and phone numbers are masked in message text and data, reply user/text and the spec/matspec
+// request, participant names in message and reply only (replay reads the request, and a name
+// can be a color or a material). llm, prefs, focus, tool args and ids are written as they
+// were, so a fresh transcript replays without differences. Session tokens are never written
+// (sessions go by short id).
+import fs from "node:fs";
+import path from "node:path";
+import { log } from "./log.js";
+
+const EMAIL_RE = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+// Candidates only; the shape decides. Bare digit runs (catalog and order ids), budgets, sizes
+// and ranges like 1000-2000 stay
+const DIGITS_RE = /\+?\(?\d[\d\s().-]{5,}\d/g;
+const maskPhone = (m) => {
+  const digits = m.replace(/\D/g, "").length;
+  const groups = m.split(/[\s().-]+/).filter(Boolean).length;
+  if (m.startsWith("+") && digits >= 7) return "[phone]";
+  if (digits >= 9 && groups >= 3) return "[phone]";
+  return m;
+};
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/** Mask emails, phone numbers and the given names in user text (every string of an object or array). */
+export function redact(value, names = []) {
+  const list = names.filter(Boolean);
+  const nameRe = list.length ? new RegExp(`(?<!\\p{L})(?:${list.map(escapeRe).join("|")})(?!\\p{L})`, "gu") : null;
+  const walk = (v) => {
+    if (typeof v === "string") {
+      const s = v.replace(EMAIL_RE, "[email]").replace(DIGITS_RE, maskPhone);
+      return nameRe ? s.replace(nameRe, "[name]") : s;
+    }
+    if (Array.isArray(v)) return v.map(walk);
+    if (v && typeof v === "object") return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, walk(x)]));
+    return v;
+  };
+  return walk(value);
+}
+
+// Free-form text fields per kind, and the kinds whose text also gets names masked. A v2
+// message's data is the client's frame (its text, CONTROL/CART fields), masked as a whole.
+const USER_TEXT = { message: ["text", "data"], reply: ["user", "text"], spec: ["user"], matspec: ["user"] };
+const NAMED = new Set(["message", "reply"]);
+
+export function createTranscript(env = process.env) {
+  const file = env.TRANSCRIPT_FILE || "";
+  const redacting = env.TRANSCRIPT_REDACT !== "0";
+  let failed = false;
+
+  return {
+    enabled: !!file,
+    // Synchronous append, like orders.js; a write error is logged once and recording stops
+    record(entry, names = []) {
+      if (!file || failed) return;
+      const line = { ts: new Date().toISOString(), ...entry };
+      if (redacting) {
+        for (const k of USER_TEXT[entry.kind] || []) line[k] = redact(line[k], NAMED.has(entry.kind) ? names : []);
+      }
+      try {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.appendFileSync(file, JSON.stringify(line) + "\n");
+      } catch (err) {
+        failed = true;
+        log.error("transcript: could not write; recording stopped", { file, error: err.message });
+      }
+    },
+  };
+}
+
+/** Parsed lines of a transcript file (torn or non-JSON lines are skipped). */
+export function readTranscript(file) {
+  const out = [];
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try { out.push(JSON.parse(line)); } catch { /* skip torn line */ }
+  }
+  return out;
+}
+
+// [field, old, new] for every top-level field that differs
+const diffFields = (before = {}, after = {}) =>
+  [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])]
+    .filter((k) => JSON.stringify(before?.[k]) !== JSON.stringify(after?.[k]))
+    .map((k) => [k, before?.[k], after?.[k]]);
+
+/**
+ * Run a recorded spec/matspec entry through the current rules (createSpecBuilder's
+ * specFromJson/matSpecFromJson) and return [field, old, new] for everything that changed.
+ */
+export function replayEntry(e, { specFromJson, matSpecFromJson }, lex) {
+  const user = e.user || "";
+  const diffs = [];
+  if (e.kind === "spec") {
+    const now = specFromJson(e.llm, user, e.prefs || {}, lex);
+    const was = e.out.specs || [];
+    for (let i = 0; i < Math.max(was.length, now.specs.length); i++) {
+      if (!was[i] || !now.specs[i]) diffs.push([`spec[${i}]`, was[i], now.specs[i]]);
+      else for (const [k, a, b] of diffFields(was[i], now.specs[i])) diffs.push([`spec[${i}].${k}`, a, b]);
+    }
+    if ((e.out.noMatch || "") !== (now.noMatch || "")) diffs.push(["noMatch", e.out.noMatch, now.noMatch]);
+  } else {
+    const now = matSpecFromJson(e.llm, user, e.focus || {}, lex);
+    for (const [k, a, b] of diffFields(e.out.matspec, now.matspec)) diffs.push([`matspec.${k}`, a, b]);
+    if ((e.out.unsupported || "") !== (now.unsupported || "")) diffs.push(["unsupported", e.out.unsupported, now.unsupported]);
+  }
+  return diffs;
+}
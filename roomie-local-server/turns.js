@@ -0,0 +1,86 @@
+// turns.js — per-session turn queue with cancellation
+//
+// One turn runs at a time per key (session id); later turns wait in a bounded FIFO.
+// Every submitted turn gets exactly one onEnd(status, err) call, status being
+// "final" | "cancelled" | "failed" — the lane is released in a finally, so a throwing
+// turn can never leave the session stuck.
+import { log } from "./log.js";
+
+export function createTurnRunner({ maxQueued = 3 } = {}) {
+  const lanes = new Map(); // key -> { active: { turn, controller } | null, queue: [turn] }
+
+  const laneFor = (key) => {
+    let l = lanes.get(key);
+    if (!l) { l = { active: null, queue: [] }; lanes.set(key, l); }
+    return l;
+  };
+
+  const end = (turn, status, err = null) => {
+    try { turn.onEnd?.(status, err); } catch (e) { log.error("turns: onEnd threw", { error: e?.message || String(e) }); }
+  };
+
+  async function drain(key) {
+    const l = laneFor(key);
+    if (l.active) return;
+    while (l.queue.length) {
+      const turn = l.queue.shift();
+      const controller = new AbortController();
+      l.active = { turn, controller };
+      let status = "final", error = null;
+      try {
+        // run(signal) may return "failed" to report a handled failure (e.g. no model answered)
+        const res = await turn.run(controller.signal);
+        if (controller.signal.aborted) status = "cancelled";
+        else if (res === "failed") status = "failed";
+      } catch (err) {
+        if (controller.signal.aborted) status = "cancelled";
+        else { status = "failed"; error = err; }
+      } finally {
+        l.active = null;
+      }
+      end(turn, status, error);
+    }
+    lanes.delete(key);
+  }
+
+  return {
+    /**
+     * Queue a turn: { id, run: async (signal) => void|"failed", onEnd: (status, err) => void }.
+     * Returns { accepted, position } — position 0 means it starts right away.
+     */
+    submit(key, turn) {
+      const l = laneFor(key);
+      const waiting = l.queue.length + (l.active ? 1 : 0);
+      if (l.active && l.queue.length >= maxQueued) return { accepted: false, position: waiting };
+      l.queue.push(turn);
+      drain(key).catch((err) => log.error("turns: drain failed", { error: err?.message || String(err) }));
+      return { accepted: true, position: waiting };
+    },
+
+    /** Cancel one turn by id, or the running turn plus everything queued. Returns cancelled ids. */
+    cancel(key, turnId = "") {
+      const l = lanes.get(key);
+      if (!l) return [];
+      const ids = [];
+      const keep = [];
+      for (const t of l.queue) {
+        if (!turnId || t.id === turnId) { ids.push(t.id); end(t, "cancelled"); }
+        else keep.push(t);
+      }
+      l.queue = keep;
+      if (l.active && (!turnId || l.active.turn.id === turnId)) {
+        ids.unshift(l.active.turn.id);
+        l.active.controller.abort();
+      }
+      return ids;
+    },
+
+    busy: (key) => !!lanes.get(key)?.active,
+    // submit() would turn a new turn away (checked first, so nothing is spent on it)
+    full: (key) => { const l = lanes.get(key); return !!l?.active && l.queue.length >= maxQueued; },
+    // Turns running right now across all sessions (graceful shutdown waits for 0)
+    running: () => [...lanes.values()].filter((l) => l.active).length,
+    /** Cancel everything in every lane. */
+    cancelAll() { for (const key of [...lanes.keys()]) this.cancel(key); },
+  };
+}